@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Import a CSV or JSON file of historical readings into a running server:
+//
+//   node bin/import.js readings.csv --device esp32-01 --map "Time:timestamp,Temp (C):temperature"
+//
+// The file is parsed here and sent to POST /api/import in chunks, so files larger
+// than the server's body limit work too. Errors are reported with their line in the file.
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { parseCsv, parseJson } = require('../lib/import');
+
+const CHUNK_ROWS = 5000;
+
+const USAGE = `Usage: node bin/import.js <file> [options]
+
+Options:
+  --format csv|json      File format (default: from the file extension)
+  --map <mapping>        Column mapping, e.g. "Time:timestamp,Temp (C):temperature"
+  --device <id>          device_id for rows that do not have one
+  --location <name>      location for rows that do not have one
+  --delimiter <char>     CSV delimiter, or "tab" (default: detected)
+  --url <url>            Server URL (default: http://localhost:$PORT or :3000)
+  --token <token>        API token of an operator or admin (default: $API_TOKEN or $ADMIN_TOKEN)`;
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string' },
+            map: { type: 'string' },
+            device: { type: 'string' },
+            location: { type: 'string' },
+            delimiter: { type: 'string' },
+            url: { type: 'string', default: `http://localhost:${process.env.PORT || 3000}` },
+            token: { type: 'string', default: process.env.API_TOKEN || process.env.ADMIN_TOKEN },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (options.help || positionals.length !== 1) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const file = positionals[0];
+    const text = fs.readFileSync(file, 'utf8');
+    const format = options.format || (/\.(json|ndjson|jsonl)$/i.test(file) ? 'json' : 'csv');
+    const delimiter = options.delimiter === 'tab' ? '\t' : options.delimiter;
+    const rows = format === 'csv' ? parseCsv(text, delimiter).rows : parseJson(text);
+
+    const query = new URLSearchParams({ format: 'json' });
+    if (options.map) query.set('map', options.map);
+    if (options.device) query.set('device_id', options.device);
+    if (options.location) query.set('location', options.location);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+    const summary = { rows: 0, stored: 0, duplicate: 0, rejected: 0 };
+    const errors = [];
+
+    for (let start = 0; start < rows.length; start += CHUNK_ROWS) {
+        const chunk = rows.slice(start, start + CHUNK_ROWS);
+        const response = await fetch(`${options.url}/api/import?${query}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(chunk.map(entry => entry.values))
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || `Import failed with HTTP ${response.status}`);
+        }
+
+        for (const key of Object.keys(summary)) summary[key] += result.summary[key];
+        // The server numbers rows within the chunk; report the line in the file instead
+        result.errors.forEach(error => errors.push({ ...error, row: chunk[error.row - 1].row }));
+
+        console.log(`${Math.min(start + CHUNK_ROWS, rows.length)}/${rows.length} rows sent`);
+        if (start === 0 && result.ignored_columns.length > 0) {
+            console.log(`Ignored columns: ${result.ignored_columns.join(', ')}`);
+        }
+    }
+
+    errors.slice(0, 50).forEach(error => {
+        const details = error.errors ? error.errors.map(detail => detail.message).join('; ') : '';
+        console.log(`  row ${error.row}: ${error.message}${details ? ` (${details})` : ''}`);
+    });
+    if (errors.length > 50) console.log(`  ... and ${errors.length - 50} more`);
+
+    console.log(`Stored ${summary.stored}, skipped ${summary.duplicate} duplicates, rejected ${summary.rejected} of ${summary.rows} rows`);
+}
+
+main().catch(error => {
+    console.error(`Import failed: ${error.message}`);
+    process.exit(1);
+});
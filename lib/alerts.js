@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+const { recordTime } = require('./storage');
+const { flaggedMetrics } = require('./quality');
+
+const CONDITIONS = ['above', 'below', 'rate_of_change'];
+const HISTORY_LIMIT = 1000;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Does the observed value breach the rule? While firing, the threshold is
+// relaxed by the hysteresis so a value hovering at the limit does not flap.
+function breaches(rule, observed, firing) {
+    const margin = firing ? rule.hysteresis : 0;
+
+    switch (rule.condition) {
+        case 'above':
+            return observed > rule.threshold - margin;
+        case 'below':
+            return observed < rule.threshold + margin;
+        case 'rate_of_change':
+            return Math.abs(observed) > rule.threshold - margin;
+        default:
+            return false;
+    }
+}
+
+function describe(rule, deviceId, observed) {
+    const value = Number(observed.toFixed(2));
+    if (rule.condition === 'rate_of_change') {
+        return `${rule.metric} on ${deviceId} changing at ${value}/min (limit ${rule.threshold}/min)`;
+    }
+    return `${rule.metric} on ${deviceId} is ${value} (${rule.condition} ${rule.threshold})`;
+}
+
+// Threshold alert rules, evaluated against every ingested reading.
+// Each (rule, device) pair moves through ok -> pending -> firing -> ok; a rule
+// with for_minutes > 0 only fires once the condition has held that long.
+function createAlertEngine({ file, historyFile, metrics, notifier, events, heartbeatSinks = ['log'] }) {
+    const store = createJsonStore(file, { rules: [] });
+    const { rules } = store.data;
+    const states = new Map();   // `${rule_id}:${device_id}` -> { state, pending_since, since, last, ... }
+    const history = [];         // most recent alert events, oldest first
+
+    function validateRule(input, existing = {}) {
+        const rule = { ...existing, ...input };
+
+        if (!rule.metric || !metrics.get(rule.metric)) {
+            throw new HttpError(400, `Unknown metric "${rule.metric}"`);
+        }
+        if (!CONDITIONS.includes(rule.condition)) {
+            throw new HttpError(400, `condition must be one of: ${CONDITIONS.join(', ')}`);
+        }
+        if (!isNumber(rule.threshold)) {
+            throw new HttpError(400, 'threshold must be a number');
+        }
+        for (const field of ['hysteresis', 'for_minutes']) {
+            if (rule[field] === undefined) rule[field] = 0;
+            if (!isNumber(rule[field]) || rule[field] < 0) {
+                throw new HttpError(400, `${field} must be a non-negative number`);
+            }
+        }
+
+        rule.sinks = rule.sinks || ['log'];
+        if (!Array.isArray(rule.sinks) || rule.sinks.some(sink => !notifier.sinks.includes(sink))) {
+            throw new HttpError(400, `sinks must be a list of: ${notifier.sinks.join(', ')}`);
+        }
+        const problem = notifier.validate(rule);
+        if (problem) {
+            throw new HttpError(400, problem);
+        }
+
+        return {
+            id: rule.id,
+            name: rule.name || `${rule.metric} ${rule.condition} ${rule.threshold}`,
+            device_id: rule.device_id || null,
+            metric: rule.metric,
+            condition: rule.condition,
+            threshold: rule.threshold,
+            hysteresis: rule.hysteresis,
+            for_minutes: rule.for_minutes,
+            sinks: rule.sinks,
+            webhook_url: rule.webhook_url || null,
+            enabled: rule.enabled !== false,
+            workspace: rule.workspace || DEFAULT_WORKSPACE
+        };
+    }
+
+    // Rules, events and active alerts belong to a workspace (rules created before
+    // workspaces existed to the default one); workspace undefined means any
+    function inWorkspace(item, workspace, field = 'workspace') {
+        return workspace === undefined || (item[field] || DEFAULT_WORKSPACE) === workspace;
+    }
+
+    function listRules(workspace) {
+        return rules.filter(rule => inWorkspace(rule, workspace));
+    }
+
+    function getRule(id, workspace) {
+        const rule = rules.find(candidate => candidate.id === id && inWorkspace(candidate, workspace));
+        if (!rule) {
+            throw new HttpError(404, `Alert rule "${id}" not found`);
+        }
+        return rule;
+    }
+
+    function createRule(input, workspace = DEFAULT_WORKSPACE) {
+        const rule = validateRule({ ...input, id: crypto.randomUUID(), workspace });
+        rules.push(rule);
+        store.save();
+        return rule;
+    }
+
+    function updateRule(id, input, workspace) {
+        const existing = getRule(id, workspace);
+        const rule = validateRule({ ...input, id, workspace: existing.workspace }, existing);
+        rules[rules.indexOf(existing)] = rule;
+        resetStates(id);
+        store.save();
+        return rule;
+    }
+
+    function deleteRule(id, workspace) {
+        rules.splice(rules.indexOf(getRule(id, workspace)), 1);
+        resetStates(id);
+        store.save();
+    }
+
+    function resetStates(ruleId) {
+        for (const key of states.keys()) {
+            if (key.startsWith(`${ruleId}:`)) states.delete(key);
+        }
+    }
+
+    function record(event) {
+        history.push(event);
+        if (history.length > HISTORY_LIMIT) history.shift();
+
+        fs.promises.appendFile(historyFile, JSON.stringify(event) + '\n')
+            .catch(error => console.error('Error writing alert history:', error));
+    }
+
+    function transition(rule, deviceId, state, observed, time) {
+        const event = {
+            id: crypto.randomUUID(),
+            rule_id: rule.id,
+            rule_name: rule.name,
+            device_id: deviceId,
+            workspace_id: rule.workspace || DEFAULT_WORKSPACE,
+            metric: rule.metric,
+            condition: rule.condition,
+            threshold: rule.threshold,
+            state,
+            value: observed,
+            at: new Date(time).toISOString(),
+            message: describe(rule, deviceId, observed)
+        };
+
+        record(event);
+        events.emit('alert', event);
+        notifier.notify(event, rule);
+        return event;
+    }
+
+    // Values flagged by quality checks are skipped, so a sensor glitch does not page
+    // anyone. Only the rules of the reading's workspace apply.
+    function evaluate(reading) {
+        const time = recordTime(reading);
+        const flagged = flaggedMetrics(reading);
+
+        for (const rule of listRules(reading.workspace_id || DEFAULT_WORKSPACE)) {
+            if (!rule.enabled) continue;
+            if (rule.device_id && rule.device_id !== reading.device_id) continue;
+
+            const value = reading.metrics[rule.metric];
+            if (value === undefined || flagged.has(rule.metric)) continue;
+
+            const key = `${rule.id}:${reading.device_id}`;
+            const state = states.get(key) || { state: 'ok', rule_id: rule.id, device_id: reading.device_id, workspace_id: rule.workspace };
+            states.set(key, state);
+
+            let observed = value;
+            if (rule.condition === 'rate_of_change') {
+                const previous = state.last;
+                state.last = { value, time };
+                if (!previous || time <= previous.time) continue;
+                observed = (value - previous.value) / ((time - previous.time) / 60000);
+            }
+
+            if (breaches(rule, observed, state.state === 'firing')) {
+                if (state.state === 'ok') {
+                    state.state = 'pending';
+                    state.pending_since = time;
+                }
+                if (state.state === 'pending' && time - state.pending_since >= rule.for_minutes * 60000) {
+                    state.state = 'firing';
+                    state.since = time;
+                    transition(rule, reading.device_id, 'firing', observed, time);
+                }
+            } else if (state.state === 'firing') {
+                state.state = 'ok';
+                transition(rule, reading.device_id, 'resolved', observed, time);
+            } else {
+                state.state = 'ok';
+            }
+        }
+    }
+
+    // Alerts currently firing, one per (rule, device)
+    function listActive(workspace) {
+        const active = [];
+        for (const state of states.values()) {
+            if (state.state !== 'firing' || !inWorkspace(state, workspace, 'workspace_id')) continue;
+            const rule = rules.find(candidate => candidate.id === state.rule_id);
+            active.push({
+                rule_id: state.rule_id,
+                rule_name: rule ? rule.name : state.rule_name || null,
+                device_id: state.device_id,
+                workspace_id: state.workspace_id || DEFAULT_WORKSPACE,
+                metric: rule ? rule.metric : null,
+                since: new Date(state.since).toISOString()
+            });
+        }
+        return active;
+    }
+
+    // Device heartbeat changes (see heartbeat.js) go through the same history,
+    // active list and sinks: going offline fires, coming back online resolves.
+    function reportDeviceStatus(change) {
+        const key = `heartbeat:${change.device_id}`;
+        const firing = states.has(key);
+        const time = Date.parse(change.at);
+
+        let state;
+        if (change.status === 'offline' && !firing) {
+            states.set(key, {
+                state: 'firing',
+                rule_id: 'heartbeat',
+                rule_name: 'Device offline',
+                device_id: change.device_id,
+                workspace_id: change.workspace_id,
+                since: time
+            });
+            state = 'firing';
+        } else if (change.status === 'online' && firing) {
+            states.delete(key);
+            state = 'resolved';
+        } else {
+            return;
+        }
+
+        const event = {
+            id: crypto.randomUUID(),
+            rule_id: 'heartbeat',
+            rule_name: 'Device offline',
+            device_id: change.device_id,
+            workspace_id: change.workspace_id,
+            metric: null,
+            condition: 'offline',
+            threshold: null,
+            state,
+            value: null,
+            at: change.at,
+            message: state === 'firing'
+                ? `${change.device_id} is offline (last seen ${change.last_seen || 'never'})`
+                : `${change.device_id} is back online`
+        };
+
+        record(event);
+        events.emit('alert', event);
+        notifier.notify(event, { sinks: heartbeatSinks });
+    }
+
+    function listHistory(filter = {}) {
+        const limit = filter.limit || 100;
+        const results = [];
+
+        for (let i = history.length - 1; i >= 0 && results.length < limit; i--) {
+            const event = history[i];
+            if (!inWorkspace(event, filter.workspace_id, 'workspace_id')) continue;
+            if (filter.device_id && event.device_id !== filter.device_id) continue;
+            if (filter.rule_id && event.rule_id !== filter.rule_id) continue;
+            if (filter.state && event.state !== filter.state) continue;
+            results.push(event);
+        }
+        return results;
+    }
+
+    // Send a sample event through a rule's sinks to check delivery
+    function test(id, workspace) {
+        const rule = getRule(id, workspace);
+        const event = {
+            id: crypto.randomUUID(),
+            rule_id: rule.id,
+            rule_name: rule.name,
+            device_id: rule.device_id || 'test-device',
+            workspace_id: rule.workspace,
+            metric: rule.metric,
+            condition: rule.condition,
+            threshold: rule.threshold,
+            state: 'test',
+            value: rule.threshold,
+            at: new Date().toISOString(),
+            message: `Test notification for rule "${rule.name}"`
+        };
+        return notifier.notify(event, rule);
+    }
+
+    // Reload recent history and restore which alerts were firing before a restart
+    function load() {
+        if (!fs.existsSync(historyFile)) return;
+
+        const lines = fs.readFileSync(historyFile, 'utf8').split('\n');
+        for (const line of lines.slice(-HISTORY_LIMIT - 1)) {
+            if (!line) continue;
+            try {
+                history.push(JSON.parse(line));
+            } catch (error) {
+                console.warn('Skipping corrupt line in alert history');
+            }
+        }
+
+        for (const event of history) {
+            const key = `${event.rule_id}:${event.device_id}`;
+            if (event.state === 'firing') {
+                states.set(key, {
+                    state: 'firing',
+                    rule_id: event.rule_id,
+                    rule_name: event.rule_name,
+                    device_id: event.device_id,
+                    workspace_id: event.workspace_id,
+                    since: Date.parse(event.at)
+                });
+            } else if (event.state === 'resolved') {
+                states.delete(key);
+            }
+        }
+    }
+
+    load();
+
+    return {
+        listRules,
+        getRule,
+        createRule,
+        updateRule,
+        deleteRule,
+        evaluate,
+        listActive,
+        listHistory,
+        reportDeviceStatus,
+        test
+    };
+}
+
+module.exports = { createAlertEngine };
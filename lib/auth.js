@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { hasRole } = require('./users');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+const SESSION_COOKIE = 'esp32_session';
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function readCookie(req, name) {
+    for (const part of (req.get('cookie') || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return undefined;
+}
+
+// User authentication for the dashboard and management API. Callers present a
+// session cookie (set by POST /api/auth/login) or an API token as
+// Authorization: Bearer <token>. ADMIN_TOKEN, if configured, is still accepted
+// as an admin token for existing scripts. With enabled: false every request
+// acts as an admin (local setups, AUTH=off). Both act in the default workspace.
+function createAuth({ users, adminToken, enabled = true, secureCookie = false }) {
+    const anonymousAdmin = { username: 'anonymous', name: 'Anonymous', role: 'admin', workspace: DEFAULT_WORKSPACE };
+
+    function identify(req) {
+        if (!enabled) return anonymousAdmin;
+
+        const authorization = req.get('authorization') || '';
+        if (authorization.startsWith('Bearer ')) {
+            const token = authorization.slice(7).trim();
+            if (adminToken && safeEqual(token, adminToken)) {
+                return { username: 'admin-token', name: 'ADMIN_TOKEN', role: 'admin', workspace: DEFAULT_WORKSPACE };
+            }
+            return users.verifyToken(token);
+        }
+
+        const session = readCookie(req, SESSION_COOKIE);
+        return session ? users.verifySession(session) : undefined;
+    }
+
+    // Sets req.user when the request carries valid credentials; never rejects
+    function authenticate(req, res, next) {
+        req.user = identify(req);
+        next();
+    }
+
+    // Guard for routes needing at least `role`. serverWide: settings shared by
+    // every workspace, which only users of the default workspace may reach.
+    function requireRole(role, { serverWide = false } = {}) {
+        return function (req, res, next) {
+            if (req.user === undefined) req.user = identify(req);
+            if (!req.user) {
+                return next(new HttpError(401, 'Login or API token required'));
+            }
+            if (!hasRole(req.user, role)) {
+                return next(new HttpError(403, `Requires the ${role} role`));
+            }
+            if (serverWide && req.user.workspace !== DEFAULT_WORKSPACE) {
+                return next(new HttpError(403, `Requires the ${role} role in the default workspace`));
+            }
+            next();
+        };
+    }
+
+    function setSessionCookie(res, session, expiresAt) {
+        res.cookie(SESSION_COOKIE, session, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: secureCookie,
+            expires: new Date(expiresAt),
+            path: '/'
+        });
+    }
+
+    function clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+    }
+
+    return {
+        enabled,
+        authenticate,
+        requireRole,
+        sessionFrom: req => readCookie(req, SESSION_COOKIE),
+        setSessionCookie,
+        clearSessionCookie
+    };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,59 @@
+const { HttpError } = require('./errors');
+
+const MAX_BATCH_SIZE = 5000;
+
+// Normalize a batch upload into req.batch = { device_id, items }. Accepted bodies:
+//   JSON array of readings, each with its own device_id
+//   { "device_id": "...", "readings": [...] }  (readings inherit device_id)
+//   NDJSON (application/x-ndjson), one reading per line
+// Lines that are not valid JSON become null items and are rejected individually.
+function createBatchParser({ singleDevice = true } = {}) {
+    return function parseBatch(req, res, next) {
+        let items;
+        let defaultDevice;
+
+        if (typeof req.body === 'string') {
+            items = req.body.split('\n').filter(line => line.trim()).map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            });
+        } else if (Array.isArray(req.body)) {
+            items = req.body;
+        } else if (req.body && Array.isArray(req.body.readings)) {
+            defaultDevice = req.body.device_id;
+            items = req.body.readings;
+        } else {
+            return next(new HttpError(400, 'Expected a JSON array, { device_id, readings: [...] } or NDJSON'));
+        }
+
+        if (items.length === 0) {
+            return next(new HttpError(400, 'Batch is empty'));
+        }
+        if (items.length > MAX_BATCH_SIZE) {
+            return next(new HttpError(413, `Batch is limited to ${MAX_BATCH_SIZE} readings`));
+        }
+
+        if (defaultDevice !== undefined) {
+            items = items.map(item => (item && typeof item === 'object' && !item.device_id)
+                ? { ...item, device_id: defaultDevice }
+                : item);
+        }
+
+        // Device credentials cover one device, so an authenticated batch must not mix devices
+        const deviceIds = new Set(items.filter(item => item && item.device_id).map(item => String(item.device_id)));
+        if (singleDevice && deviceIds.size > 1) {
+            return next(new HttpError(400, 'A batch may only contain readings for one device_id'));
+        }
+
+        req.batch = {
+            device_id: deviceIds.size === 1 ? [...deviceIds][0] : undefined,
+            items
+        };
+        next();
+    };
+}
+
+module.exports = { createBatchParser, MAX_BATCH_SIZE };
@@ -0,0 +1,149 @@
+const { createJsonStore } = require('./json-store');
+const { HttpError, ValidationError } = require('./errors');
+const { checkValue } = require('./validation');
+
+// Calibrated values are rounded to hide floating-point noise (21.3 - 0.2 = 21.099999...)
+const PRECISION = 1e6;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Correction types, each with a validator and the function it applies:
+//   { type: 'offset', offset }             value + offset
+//   { type: 'linear', scale, offset }      value * scale + offset
+//   { type: 'curve', points: [[raw, actual], ...] }
+//       piecewise linear through reference points, extended along the end segments
+const CORRECTIONS = {
+    offset: {
+        validate: ({ offset }) => isNumber(offset) || 'offset must be a number',
+        apply: ({ offset }, value) => value + offset
+    },
+    linear: {
+        validate: ({ scale, offset = 0 }) => (isNumber(scale) && scale !== 0 && isNumber(offset)) ||
+            'scale must be a non-zero number and offset a number',
+        apply: ({ scale, offset = 0 }, value) => value * scale + offset
+    },
+    curve: {
+        validate: ({ points }) => {
+            if (!Array.isArray(points) || points.length < 2) return 'points needs at least 2 [raw, actual] pairs';
+            if (!points.every(point => Array.isArray(point) && point.length === 2 && point.every(isNumber))) {
+                return 'each point must be a [raw, actual] pair of numbers';
+            }
+            const raws = points.map(point => point[0]).sort((a, b) => a - b);
+            return raws.every((raw, index) => index === 0 || raw > raws[index - 1]) || 'raw values must be distinct';
+        },
+        apply: ({ points }, value) => {
+            let i = 1;
+            while (i < points.length - 1 && value > points[i][0]) i++;
+            const [[x0, y0], [x1, y1]] = [points[i - 1], points[i]];
+            return y0 + (value - x0) * (y1 - y0) / (x1 - x0);
+        }
+    }
+};
+
+// Per-device calibration profiles: one correction per metric, applied at ingest.
+// Corrected values replace the reported ones in record.metrics and the values
+// as reported are kept in record.raw.
+function createCalibrationRegistry({ file, metrics }) {
+    const store = createJsonStore(file, { devices: {} });
+    const profiles = store.data.devices;
+
+    function normalize(name, correction) {
+        if (!metrics.get(name)) {
+            return { code: 'unknown_metric', error: `Unknown metric "${name}"` };
+        }
+        if (!correction || typeof correction !== 'object' || !CORRECTIONS[correction.type]) {
+            return { error: `type must be one of: ${Object.keys(CORRECTIONS).join(', ')}` };
+        }
+
+        const verdict = CORRECTIONS[correction.type].validate(correction);
+        if (verdict !== true) return { error: verdict };
+
+        switch (correction.type) {
+            case 'offset':
+                return { value: { type: 'offset', offset: correction.offset } };
+            case 'linear':
+                return { value: { type: 'linear', scale: correction.scale, offset: correction.offset || 0 } };
+            default:
+                return { value: { type: 'curve', points: [...correction.points].sort((a, b) => a[0] - b[0]) } };
+        }
+    }
+
+    function list() {
+        return Object.values(profiles);
+    }
+
+    function get(deviceId) {
+        if (!profiles[deviceId]) {
+            throw new HttpError(404, `No calibration profile for device "${deviceId}"`);
+        }
+        return profiles[deviceId];
+    }
+
+    // Replace a device's profile: { metrics: { temperature: { type, ... }, ... }, notes }
+    function set(deviceId, { metrics: corrections, notes } = {}) {
+        if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+            throw new HttpError(400, 'metrics must be an object of corrections keyed by metric');
+        }
+
+        const normalized = {};
+        const errors = [];
+        for (const [name, correction] of Object.entries(corrections)) {
+            const { value, code = 'invalid_value', error } = normalize(name, correction);
+            if (error) errors.push({ field: `metrics.${name}`, code, message: error });
+            else normalized[name] = value;
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(errors, 'Invalid calibration profile');
+        }
+
+        profiles[deviceId] = {
+            device_id: deviceId,
+            metrics: normalized,
+            notes: notes === undefined ? '' : String(notes),
+            updated_at: new Date().toISOString()
+        };
+        store.save();
+        return profiles[deviceId];
+    }
+
+    function remove(deviceId) {
+        get(deviceId);
+        delete profiles[deviceId];
+        store.save();
+    }
+
+    // Correct a record's metrics in place, keeping reported values in record.raw.
+    // A correction that lands outside the metric's min/max (humidity above 100%)
+    // is not applied: the reported value is stored and the reading is flagged
+    // suspect with check 'calibration' (see quality.js), the other metrics unaffected.
+    function apply(record) {
+        const profile = profiles[record.device_id];
+        if (!profile) return record;
+
+        const raw = {};
+        const flags = [];
+        for (const [name, correction] of Object.entries(profile.metrics)) {
+            const value = record.metrics[name];
+            if (value === undefined) continue;
+
+            const corrected = Math.round(CORRECTIONS[correction.type].apply(correction, value) * PRECISION) / PRECISION;
+            const schema = metrics.get(name) || {};
+            const result = checkValue({ type: 'number', min: schema.min, max: schema.max, unit: schema.unit }, corrected, `${name} after calibration`);
+            if (result.error) {
+                flags.push({ metric: name, check: 'calibration', message: `${result.error.message} (${corrected}); stored as reported` });
+                continue;
+            }
+            raw[name] = value;
+            record.metrics[name] = corrected;
+        }
+        if (Object.keys(raw).length > 0) record.raw = raw;
+        if (flags.length > 0) record.quality = { status: 'suspect', flags };
+        return record;
+    }
+
+    return { list, get, set, remove, apply };
+}
+
+module.exports = { createCalibrationRegistry, CORRECTIONS };
@@ -0,0 +1,49 @@
+// Express middleware for the ingest routes: verifies that the request carries a
+// valid credential for the device_id it reports. Devices may authenticate with
+//   Authorization: Bearer <api_key>, X-API-Key: <api_key> or ?api_key=<api_key>
+//   X-Signature: <hex HMAC-SHA256 of the raw request body>             (POST)
+//   ?signature=<hex HMAC-SHA256 of the remaining query string, keys sorted> (GET)
+function createDeviceAuth(devices, options = {}) {
+    const required = options.required !== false;
+    const deviceIdFrom = options.deviceIdFrom || (req => (req.method === 'GET' ? req.query : (req.body || {})).device_id);
+
+    return function authenticateDevice(req, res, next) {
+        if (!required) return next();
+
+        try {
+            const source = req.method === 'GET' ? req.query : (req.body || {});
+            const deviceId = deviceIdFrom(req);
+
+            // Missing device_id is reported by ingest validation
+            if (!deviceId) return next();
+
+            const authorization = req.get('authorization') || '';
+            const api_key = authorization.startsWith('Bearer ')
+                ? authorization.slice(7).trim()
+                : req.get('x-api-key') || source.api_key;
+
+            let signature = req.get('x-signature');
+            let payload = req.rawBody ? req.rawBody.toString('utf8') : '';
+
+            if (req.method === 'GET' && req.query.signature) {
+                const params = new URL(req.originalUrl, 'http://localhost').searchParams;
+                params.delete('signature');
+                params.sort();
+                signature = req.query.signature;
+                payload = params.toString();
+            }
+
+            req.device = devices.verify(String(deviceId), { api_key, signature, payload });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Keep the exact request body around so HMAC signatures can be checked against it
+function keepRawBody(req, res, buffer) {
+    req.rawBody = buffer;
+}
+
+module.exports = { createDeviceAuth, keepRawBody };
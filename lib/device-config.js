@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { HttpError, ValidationError } = require('./errors');
+
+const COMMAND_HISTORY_LIMIT = 50;
+const COMMAND_RE = /^[a-z][a-z0-9_]{0,31}$/;
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Validate a config change. Known keys:
+//   report_interval  seconds between readings
+//   thresholds       { metric: { min, max } }, evaluated on the device
+//   custom           free-form settings for the firmware
+// null removes a key from the desired config. Sensor corrections are not sent
+// to devices; they are applied at ingest from /api/calibration (calibration.js).
+function validateConfig(input, metrics) {
+    if (!isObject(input)) {
+        throw new HttpError(400, 'Config must be a JSON object');
+    }
+
+    const errors = [];
+    const checkMetricMap = (field, keys) => {
+        if (!isObject(input[field])) {
+            errors.push({ field, code: 'invalid_type', message: `${field} must be an object keyed by metric` });
+            return;
+        }
+        for (const [metric, settings] of Object.entries(input[field])) {
+            if (!metrics.get(metric)) {
+                errors.push({ field: `${field}.${metric}`, code: 'unknown_metric', message: `Unknown metric "${metric}"` });
+            } else if (!isObject(settings) || Object.entries(settings).some(([key, value]) => !keys.includes(key) || !isNumber(value))) {
+                errors.push({ field: `${field}.${metric}`, code: 'invalid_value', message: `must be an object of numbers with keys ${keys.join(', ')}` });
+            }
+        }
+    };
+
+    for (const [field, value] of Object.entries(input)) {
+        if (value === null) continue;
+
+        switch (field) {
+            case 'report_interval':
+                if (!Number.isInteger(value) || value < 1) {
+                    errors.push({ field, code: 'invalid_value', message: 'report_interval must be a positive number of seconds' });
+                }
+                break;
+            case 'thresholds':
+                checkMetricMap(field, ['min', 'max']);
+                break;
+            case 'custom':
+                if (!isObject(value)) errors.push({ field, code: 'invalid_type', message: 'custom must be an object' });
+                break;
+            default:
+                errors.push({ field, code: 'unknown_field', message: 'Unknown config key (expected report_interval, thresholds or custom)' });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors, 'Invalid device config');
+    }
+}
+
+// Desired configuration and queued commands per device, delivered in ingest
+// responses and from the poll endpoint until the device acknowledges them.
+// Each config change bumps the version; devices ack the version they applied.
+function createDeviceConfigService({ file, metrics, devices }) {
+    const store = createJsonStore(file, { devices: {} });
+    const states = store.data.devices;
+
+    function blankState(deviceId) {
+        return {
+            device_id: deviceId,
+            version: 0,
+            desired: {},
+            updated_at: null,
+            applied_version: 0,
+            applied_at: null,
+            commands: []
+        };
+    }
+
+    // State is only stored once something is set or queued for the device
+    function stateFor(deviceId) {
+        if (!states[deviceId]) {
+            states[deviceId] = blankState(deviceId);
+        }
+        return states[deviceId];
+    }
+
+    function expire(state) {
+        const now = Date.now();
+        for (const command of state.commands) {
+            if (command.status === 'pending' && command.expires_at && Date.parse(command.expires_at) <= now) {
+                command.status = 'expired';
+            }
+        }
+    }
+
+    function describe(state) {
+        expire(state);
+        return {
+            ...state,
+            in_sync: state.applied_version === state.version
+        };
+    }
+
+    function list() {
+        return Object.values(states).map(describe);
+    }
+
+    function get(deviceId) {
+        return describe(states[deviceId] || blankState(deviceId));
+    }
+
+    // Merge a change into the desired config and publish it as a new version
+    function setConfig(deviceId, input) {
+        validateConfig(input, metrics);
+
+        const state = stateFor(deviceId);
+        const desired = { ...state.desired };
+        for (const [field, value] of Object.entries(input)) {
+            if (value === null) delete desired[field];
+            else desired[field] = value;
+        }
+
+        state.desired = desired;
+        state.version++;
+        state.updated_at = new Date().toISOString();
+        store.save();
+        return describe(state);
+    }
+
+    function queueCommand(deviceId, { name, params, ttl } = {}) {
+        if (!name || !COMMAND_RE.test(name)) {
+            throw new HttpError(400, 'name must be a lowercase command name, e.g. reboot');
+        }
+        if (params !== undefined && !isObject(params)) {
+            throw new HttpError(400, 'params must be an object');
+        }
+        if (ttl !== undefined && !(isNumber(ttl) && ttl > 0)) {
+            throw new HttpError(400, 'ttl must be a positive number of seconds');
+        }
+
+        const state = stateFor(deviceId);
+        const now = Date.now();
+        const command = {
+            id: crypto.randomUUID(),
+            name,
+            params: params || {},
+            status: 'pending',
+            created_at: new Date(now).toISOString(),
+            expires_at: ttl ? new Date(now + ttl * 1000).toISOString() : null,
+            delivered_at: null,
+            deliveries: 0,
+            completed_at: null,
+            result: null
+        };
+
+        state.commands.push(command);
+        // Keep every pending command, but only the most recent finished ones
+        const finished = state.commands.filter(entry => entry.status !== 'pending');
+        if (finished.length > COMMAND_HISTORY_LIMIT) {
+            const drop = new Set(finished.slice(0, finished.length - COMMAND_HISTORY_LIMIT));
+            state.commands = state.commands.filter(entry => !drop.has(entry));
+        }
+
+        store.save();
+        return command;
+    }
+
+    function cancelCommand(deviceId, commandId) {
+        const command = states[deviceId] && states[deviceId].commands.find(entry => entry.id === commandId);
+        if (!command) {
+            throw new HttpError(404, `Command "${commandId}" not found`);
+        }
+        if (command.status !== 'pending') {
+            throw new HttpError(409, `Command is already ${command.status}`);
+        }
+        command.status = 'cancelled';
+        command.completed_at = new Date().toISOString();
+        store.save();
+        return command;
+    }
+
+    // What the device still has to apply: the desired config when the device is
+    // behind, plus pending commands. Undefined when there is nothing to send.
+    // Commands are resent until acknowledged; devices dedupe them by id.
+    function pendingFor(deviceId) {
+        const state = states[deviceId];
+        if (!state) return undefined;
+        expire(state);
+
+        const commands = state.commands.filter(command => command.status === 'pending');
+        const behind = state.applied_version < state.version;
+        if (!behind && commands.length === 0) return undefined;
+
+        const now = new Date().toISOString();
+        commands.forEach(command => {
+            command.delivered_at = command.delivered_at || now;
+            command.deliveries++;
+        });
+        if (commands.length > 0) store.save();
+
+        const pending = {};
+        if (behind) pending.config = { version: state.version, ...state.desired };
+        if (commands.length > 0) {
+            pending.commands = commands.map(({ id, name, params }) => ({ id, name, params }));
+        }
+        return pending;
+    }
+
+    // Device acknowledgement: { config_version, commands: [{ id, status: 'done' | 'failed', result }] }.
+    // The whole payload is checked before anything is recorded.
+    function acknowledge(deviceId, { config_version, commands } = {}) {
+        const state = states[deviceId];
+        if (!state) {
+            throw new HttpError(404, `Nothing has been sent to device "${deviceId}"`);
+        }
+
+        if (config_version !== undefined &&
+            (!Number.isInteger(config_version) || config_version < 0 || config_version > state.version)) {
+            throw new HttpError(400, `config_version must be a version up to ${state.version}`);
+        }
+        if (commands !== undefined && !Array.isArray(commands)) {
+            throw new HttpError(400, 'commands must be an array');
+        }
+        const acks = (commands || []).map(entry => {
+            const command = entry && state.commands.find(candidate => candidate.id === entry.id);
+            if (!command) {
+                throw new HttpError(400, `Unknown command id "${entry && entry.id}"`);
+            }
+            if (!['done', 'failed'].includes(entry.status)) {
+                throw new HttpError(400, 'Command status must be done or failed');
+            }
+            return { command, entry };
+        });
+
+        const now = new Date().toISOString();
+        if (config_version !== undefined) {
+            state.applied_version = Math.max(state.applied_version, config_version);
+            state.applied_at = now;
+
+            // Offline detection should follow the interval the device now reports at
+            if (state.applied_version === state.version && state.desired.report_interval && devices.get(deviceId)) {
+                devices.update(deviceId, { expected_interval: state.desired.report_interval });
+            }
+        }
+
+        for (const { command, entry } of acks) {
+            if (command.status === 'pending') {
+                command.status = entry.status;
+                command.completed_at = now;
+                command.result = entry.result === undefined ? null : entry.result;
+            }
+        }
+
+        store.save();
+        return { ...describe(state), acknowledged: acks.map(({ command }) => command.id) };
+    }
+
+    return {
+        list,
+        get,
+        setConfig,
+        queueCommand,
+        cancelCommand,
+        pendingFor,
+        acknowledge
+    };
+}
+
+module.exports = { createDeviceConfigService };
@@ -0,0 +1,56 @@
+// Per-device gauges for /metrics: the latest value of every metric each device
+// reports, when it was last seen and its heartbeat status. Latest values follow
+// the 'reading' events; devices not heard from since startup are looked up in
+// storage once, at the first scrape that needs them.
+function registerDeviceTelemetry({ telemetry, events, heartbeat, storage, metrics }) {
+    const latest = new Map();   // device_id -> { location, metrics: { name: value } }
+    const lookedUp = new Set();
+
+    function remember(record) {
+        const entry = latest.get(record.device_id) || { location: record.location, metrics: {} };
+        entry.location = record.location;
+        Object.assign(entry.metrics, record.metrics);
+        latest.set(record.device_id, entry);
+    }
+
+    events.on('reading', remember);
+
+    async function fill(deviceIds) {
+        for (const deviceId of deviceIds) {
+            if (latest.has(deviceId) || lookedUp.has(deviceId)) continue;
+            lookedUp.add(deviceId);
+
+            const [record] = await storage.query({ device_id: deviceId, order: 'desc', limit: 1 });
+            if (record && !latest.has(deviceId)) remember(record);
+        }
+    }
+
+    telemetry.gauge('esp32_sensor_value', 'Latest reported value of each device metric, in the metric\'s unit', async () => {
+        await fill(heartbeat.list().map(device => device.device_id));
+
+        const samples = [];
+        for (const [deviceId, entry] of latest) {
+            for (const [name, value] of Object.entries(entry.metrics)) {
+                const schema = metrics.get(name);
+                samples.push({
+                    labels: { device_id: deviceId, location: entry.location, metric: name, unit: schema ? schema.unit : '' },
+                    value
+                });
+            }
+        }
+        return samples;
+    });
+
+    telemetry.gauge('esp32_device_last_seen_timestamp_seconds', 'Unix time of the last reading received from the device', () =>
+        heartbeat.list()
+            .filter(device => device.last_seen)
+            .map(device => ({ labels: { device_id: device.device_id }, value: Date.parse(device.last_seen) / 1000 })));
+
+    telemetry.gauge('esp32_device_status', 'Heartbeat status of the device (1 for the current status)', () =>
+        heartbeat.list().flatMap(device => ['online', 'stale', 'offline'].map(status => ({
+            labels: { device_id: device.device_id, status },
+            value: device.status === status ? 1 : 0
+        }))));
+}
+
+module.exports = { registerDeviceTelemetry };
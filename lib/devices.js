@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+const { assertValid } = require('./validation');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+const DEVICE_ID_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// Editable device fields. expected_interval: seconds between reports, used for
+// offline detection; null = server default
+const DEVICE_UPDATE_SCHEMA = {
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    metadata: { type: 'object' },
+    expected_interval: { type: 'integer', min: 1 }
+};
+const DEVICE_SCHEMA = {
+    device_id: {
+        type: 'string',
+        required: true,
+        maxLength: 64,
+        pattern: DEVICE_ID_RE,
+        formatMessage: 'device_id may only contain letters, digits, _ . : -'
+    },
+    ...DEVICE_UPDATE_SCHEMA
+};
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Public view of a device; the secret is only ever returned on create/rotate
+function toPublic(device) {
+    const { secret, ...rest } = device;
+    return { ...rest, workspace: device.workspace || DEFAULT_WORKSPACE };
+}
+
+// Registry of devices allowed to ingest, each with its own secret. The secret is
+// used both as a bearer API key and as the HMAC-SHA256 key for signed payloads.
+// Each device belongs to a workspace; the management functions take the
+// caller's workspace and treat devices of other workspaces as not registered
+// (workspace undefined = any, for internal use).
+function createDeviceRegistry(options = {}) {
+    const store = createJsonStore(options.file, { devices: {} });
+    const { devices } = store.data;
+
+    // Unregistered devices (DEVICE_AUTH=off) report into the default workspace
+    function workspaceOf(deviceId) {
+        return (devices[deviceId] && devices[deviceId].workspace) || DEFAULT_WORKSPACE;
+    }
+
+    function inWorkspace(deviceId, workspace) {
+        return workspace === undefined || workspaceOf(deviceId) === workspace;
+    }
+
+    function list(workspace) {
+        return Object.values(devices)
+            .filter(device => inWorkspace(device.device_id, workspace))
+            .map(toPublic);
+    }
+
+    function get(deviceId, workspace) {
+        return devices[deviceId] && inWorkspace(deviceId, workspace) ? toPublic(devices[deviceId]) : undefined;
+    }
+
+    function findOrThrow(deviceId, workspace) {
+        if (!devices[deviceId] || !inWorkspace(deviceId, workspace)) {
+            throw new HttpError(404, `Device "${deviceId}" is not registered`);
+        }
+        return devices[deviceId];
+    }
+
+    function create(input = {}, workspace = DEFAULT_WORKSPACE) {
+        const { device_id, name, description, metadata, expected_interval } = assertValid(DEVICE_SCHEMA, input, {
+            message: 'Invalid device'
+        });
+        // Ingest knows a device by its id alone, so ids are unique across workspaces.
+        // The answer is the same whichever workspace holds the id (revoked or not),
+        // and says nothing about that device.
+        if (devices[device_id]) {
+            throw new HttpError(409, `Device id "${device_id}" is not available`);
+        }
+
+        const now = new Date().toISOString();
+        devices[device_id] = {
+            device_id,
+            name: name || device_id,
+            description: description || '',
+            metadata: metadata || {},
+            expected_interval: expected_interval || null,
+            workspace,
+            secret: generateSecret(),
+            created_at: now,
+            updated_at: now,
+            revoked_at: null
+        };
+        store.save();
+        return { ...toPublic(devices[device_id]), api_key: devices[device_id].secret };
+    }
+
+    // Fields sent as null or '' are reset (expected_interval back to the server default)
+    function update(deviceId, input = {}, workspace) {
+        const device = findOrThrow(deviceId, workspace);
+        const fields = assertValid(DEVICE_UPDATE_SCHEMA, input, { message: 'Invalid device' });
+
+        if (input.name !== undefined) device.name = fields.name || device.device_id;
+        if (input.description !== undefined) device.description = fields.description || '';
+        if (input.metadata !== undefined) device.metadata = fields.metadata || {};
+        if (input.expected_interval !== undefined) device.expected_interval = fields.expected_interval || null;
+        device.updated_at = new Date().toISOString();
+        store.save();
+        return toPublic(device);
+    }
+
+    function rotateKey(deviceId, workspace) {
+        const device = findOrThrow(deviceId, workspace);
+        device.secret = generateSecret();
+        device.updated_at = new Date().toISOString();
+        store.save();
+        return { ...toPublic(device), api_key: device.secret };
+    }
+
+    function revoke(deviceId, workspace) {
+        const device = findOrThrow(deviceId, workspace);
+        device.revoked_at = device.revoked_at || new Date().toISOString();
+        device.updated_at = new Date().toISOString();
+        store.save();
+        return toPublic(device);
+    }
+
+    // Check ingest credentials for deviceId: either an api_key, or a signature
+    // (hex HMAC-SHA256 keyed with the device secret) over `payload`.
+    function verify(deviceId, { api_key, signature, payload }) {
+        if (!api_key && !signature) {
+            throw new HttpError(401, 'Missing device credentials (API key or signature)');
+        }
+
+        const device = devices[deviceId];
+        if (!device) {
+            throw new HttpError(403, `Device "${deviceId}" is not registered`);
+        }
+        if (device.revoked_at) {
+            throw new HttpError(403, `Device "${deviceId}" has been revoked`);
+        }
+
+        if (signature) {
+            const expected = crypto.createHmac('sha256', device.secret).update(payload || '').digest('hex');
+            if (!safeEqual(expected, String(signature).toLowerCase())) {
+                throw new HttpError(401, `Invalid signature for device "${deviceId}"`);
+            }
+            return toPublic(device);
+        }
+
+        if (!safeEqual(device.secret, api_key)) {
+            throw new HttpError(401, `Invalid API key for device "${deviceId}"`);
+        }
+        return toPublic(device);
+    }
+
+    return { list, get, create, update, rotateKey, revoke, verify, workspaceOf, inWorkspace };
+}
+
+module.exports = { createDeviceRegistry, DEVICE_SCHEMA };
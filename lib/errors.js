@@ -0,0 +1,44 @@
+// Machine-readable error code sent with each HTTP status unless a more specific one is given
+const STATUS_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    500: 'internal_error'
+};
+
+// Error carrying the HTTP status (and optional field details) to report to the client
+class HttpError extends Error {
+    constructor(status, message, details, code) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.code = code || STATUS_CODES[status] || 'error';
+    }
+}
+
+// Input rejected by validation; details lists every failing field as
+// { field, code, message } (see validation.js for the field codes)
+class ValidationError extends HttpError {
+    constructor(details, message = 'Validation failed') {
+        super(400, message, details, 'validation_failed');
+        this.name = 'ValidationError';
+    }
+}
+
+// Body parser errors (malformed JSON, oversized bodies) into HttpErrors
+function fromParserError(error) {
+    if (error.type === 'entity.parse.failed') {
+        return new HttpError(400, 'Request body is not valid JSON', undefined, 'invalid_json');
+    }
+    if (error.type === 'entity.too.large') {
+        return new HttpError(413, `Request body exceeds the ${error.limit} byte limit`);
+    }
+    return new HttpError(error.status, error.message);
+}
+
+module.exports = { HttpError, ValidationError, fromParserError, STATUS_CODES };
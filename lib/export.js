@@ -0,0 +1,138 @@
+const arrow = require('apache-arrow');
+const { recordTime } = require('./storage');
+
+const BATCH_ROWS = 1000;
+
+// RFC 4180: quote fields containing separators, quotes or line breaks
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves once the response can take more data (or the client went away)
+function drained(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Records from storage in groups of BATCH_ROWS, oldest first; stops if the client disconnects
+async function* batches(storage, filter, res) {
+    let batch = [];
+    for await (const record of storage.iterate({ ...filter, order: 'asc' })) {
+        if (res.destroyed) return;
+        batch.push(record);
+        if (batch.length === BATCH_ROWS) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) yield batch;
+}
+
+// Records stored before quality checks existed count as good
+function qualityOf(record) {
+    return record.quality ? record.quality.status : 'good';
+}
+
+async function writeText(res, chunks, toText) {
+    for await (const chunk of chunks) {
+        if (!res.write(toText(chunk))) await drained(res);
+    }
+    res.end();
+}
+
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        async write(res, chunks, columns) {
+            res.write(['timestamp', 'device_id', 'location', 'quality'].concat(columns).map(csvField).join(',') + '\r\n');
+            await writeText(res, chunks, records => records.map(record =>
+                [new Date(recordTime(record)).toISOString(), record.device_id, record.location, qualityOf(record)]
+                    .concat(columns.map(name => record.metrics[name]))
+                    .map(csvField)
+                    .join(',') + '\r\n'
+            ).join(''));
+        }
+    },
+
+    ndjson: {
+        contentType: 'application/x-ndjson',
+        extension: 'ndjson',
+        async write(res, chunks, columns) {
+            await writeText(res, chunks, records => records.map(record => JSON.stringify({
+                timestamp: new Date(recordTime(record)).toISOString(),
+                device_id: record.device_id,
+                location: record.location,
+                quality: record.quality || { status: 'good' },
+                metrics: Object.fromEntries(columns
+                    .filter(name => record.metrics[name] !== undefined)
+                    .map(name => [name, record.metrics[name]]))
+            }) + '\n').join(''));
+        }
+    },
+
+    // Columnar Apache Arrow IPC stream, one record batch per BATCH_ROWS readings
+    arrow: {
+        contentType: 'application/vnd.apache.arrow.stream',
+        extension: 'arrow',
+        async write(res, chunks, columns) {
+            const schema = new arrow.Schema([
+                new arrow.Field('timestamp', new arrow.TimestampMillisecond(), false),
+                new arrow.Field('device_id', new arrow.Utf8(), false),
+                new arrow.Field('location', new arrow.Utf8(), true),
+                new arrow.Field('quality', new arrow.Utf8(), false),
+                ...columns.map(name => new arrow.Field(name, new arrow.Float64(), true))
+            ]);
+
+            const writer = new arrow.RecordBatchStreamWriter();
+            const output = writer.toNodeStream();
+            const finished = new Promise(resolve => output.on('end', resolve).on('error', resolve));
+            output.pipe(res);
+
+            // Write the schema up front so an empty export is still a valid stream
+            writer.reset(undefined, schema);
+
+            for await (const records of chunks) {
+                const values = {
+                    timestamp: records.map(recordTime),
+                    device_id: records.map(record => record.device_id),
+                    location: records.map(record => record.location || null),
+                    quality: records.map(qualityOf)
+                };
+                columns.forEach(name => {
+                    values[name] = records.map(record => record.metrics[name] ?? null);
+                });
+
+                const children = schema.fields.map(field => arrow.vectorFromArray(values[field.name], field.type).data[0]);
+                writer.write(new arrow.RecordBatch(schema, arrow.makeData({
+                    type: new arrow.Struct(schema.fields),
+                    length: records.length,
+                    nullCount: 0,
+                    children
+                })));
+
+                if (res.writableNeedDrain) await drained(res);
+            }
+
+            writer.finish();
+            await finished;
+        }
+    }
+};
+
+// Stream every matching reading to res in the given format without buffering
+// the result set. Metric columns are fixed up front, in the order given.
+async function streamExport(res, { storage, format, filter, columns }) {
+    await FORMATS[format].write(res, batches(storage, filter, res), columns);
+}
+
+module.exports = { FORMATS, streamExport, csvField };
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+
+const VERSION_RE = /^[0-9A-Za-z][0-9A-Za-z._+-]{0,31}$/;
+// First byte of an ESP32/ESP8266 application image (.bin)
+const IMAGE_MAGIC = 0xE9;
+const REPORT_STATUSES = ['success', 'failed'];
+
+// Firmware images for OTA updates and which version each device should run.
+// Images live in dir as <version>.bin; metadata, targets and per-device rollout
+// state are kept in file. A device's target is its own, else the nearest zone's
+// (room, then floor, then building), else the default.
+function createFirmwareRepository({ dir, file, devices, zones }) {
+    const store = createJsonStore(file, {
+        images: {},
+        targets: { default: null, zones: {}, devices: {} },
+        devices: {}
+    });
+    const { images, targets, devices: states } = store.data;
+
+    function findOrThrow(version) {
+        if (!images[version]) {
+            throw new HttpError(404, `Firmware version "${version}" not found`);
+        }
+        return images[version];
+    }
+
+    function imagePath(version) {
+        return path.resolve(dir, `${version}.bin`);
+    }
+
+    function list() {
+        return Object.values(images).sort((a, b) => b.uploaded_at.localeCompare(a.uploaded_at));
+    }
+
+    function get(version) {
+        return findOrThrow(version);
+    }
+
+    // Version whose image has this MD5; the ESP32 OTA client sends the running sketch's
+    function versionByMd5(md5) {
+        const image = md5 && Object.values(images).find(candidate => candidate.md5 === md5.toLowerCase());
+        return image ? image.version : undefined;
+    }
+
+    async function add(version, buffer, { notes } = {}) {
+        if (!version || !VERSION_RE.test(version)) {
+            throw new HttpError(400, 'version is required (letters, digits, . _ + -; up to 32 characters)');
+        }
+        if (images[version]) {
+            throw new HttpError(409, `Firmware version "${version}" already exists`);
+        }
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new HttpError(400, 'Upload the image as the request body (Content-Type: application/octet-stream)');
+        }
+        if (buffer[0] !== IMAGE_MAGIC) {
+            throw new HttpError(400, 'Not an ESP32 application image (.bin)');
+        }
+
+        const tmp = `${imagePath(version)}.tmp`;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(tmp, buffer);
+        await fs.promises.rename(tmp, imagePath(version));
+
+        images[version] = {
+            version,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            md5: crypto.createHash('md5').update(buffer).digest('hex'),
+            notes: notes === undefined ? '' : String(notes),
+            uploaded_at: new Date().toISOString()
+        };
+        store.save();
+        return images[version];
+    }
+
+    async function remove(version) {
+        findOrThrow(version);
+        const targeted = targets.default === version ||
+            Object.values(targets.zones).includes(version) ||
+            Object.values(targets.devices).includes(version);
+        if (targeted) {
+            throw new HttpError(409, `Firmware version "${version}" is still a rollout target`);
+        }
+
+        delete images[version];
+        store.save();
+        await fs.promises.rm(imagePath(version), { force: true });
+    }
+
+    // scope: 'default', 'zones' or 'devices'; a null version clears the target
+    function setTarget(scope, id, version) {
+        if (version !== null) findOrThrow(version);
+        if (scope === 'zones') zones.get(id);
+
+        if (scope === 'default') {
+            targets.default = version;
+        } else if (version === null) {
+            delete targets[scope][id];
+        } else {
+            targets[scope][id] = version;
+        }
+        store.save();
+        return getTargets();
+    }
+
+    // All targets, or the default plus those of one workspace's zones and devices
+    function getTargets(workspace) {
+        if (workspace === undefined) return targets;
+
+        const zoneIds = new Set(zones.list(workspace).map(zone => zone.id));
+        const pick = (entries, keep) => Object.fromEntries(Object.entries(entries).filter(([id]) => keep(id)));
+        return {
+            default: targets.default,
+            zones: pick(targets.zones, id => zoneIds.has(id)),
+            devices: pick(targets.devices, id => devices.inWorkspace(id, workspace))
+        };
+    }
+
+    // { version, source, zone_id? } for the device, or undefined when nothing is targeted
+    function resolveTarget(deviceId) {
+        if (targets.devices[deviceId]) {
+            return { version: targets.devices[deviceId], source: 'device' };
+        }
+        const placement = zones.locate(deviceId);
+        if (placement) {
+            const zoneId = zones.ancestors(placement.zone_id).reverse().find(id => targets.zones[id]);
+            if (zoneId) return { version: targets.zones[zoneId], source: 'zone', zone_id: zoneId };
+        }
+        if (targets.default) {
+            return { version: targets.default, source: 'default' };
+        }
+        return undefined;
+    }
+
+    // Per-device rollout state, reset whenever the device's target changes
+    function track(deviceId, changes = {}) {
+        const now = new Date().toISOString();
+        const state = states[deviceId] || (states[deviceId] = {
+            device_id: deviceId,
+            reported_version: null,
+            reported_at: null,
+            target_version: null,
+            status: null,
+            attempts: 0,
+            last_error: null,
+            updated_at: now
+        });
+
+        const target = resolveTarget(deviceId);
+        const targetVersion = target ? target.version : null;
+        if (state.target_version !== targetVersion) {
+            Object.assign(state, { target_version: targetVersion, status: target ? 'pending' : null, attempts: 0, last_error: null });
+        }
+
+        Object.assign(state, changes, { updated_at: now });
+        // Success means running the target, however the device got there
+        if (target && state.reported_version === targetVersion) {
+            Object.assign(state, { status: 'success', last_error: null });
+        } else if (state.status === 'success') {
+            state.status = target ? 'pending' : null;
+        }
+        store.save();
+        return { state, target };
+    }
+
+    // Device poll. Records the version the device runs (when it says) and
+    // returns the image to install, if it is not on its target yet.
+    function check(deviceId, reportedVersion) {
+        const changes = reportedVersion
+            ? { reported_version: String(reportedVersion), reported_at: new Date().toISOString() }
+            : {};
+        const { state, target } = track(deviceId, changes);
+
+        if (!target || state.status === 'success') {
+            return { update: false, current_version: state.reported_version, target };
+        }
+        return { update: true, current_version: state.reported_version, target, image: images[target.version] };
+    }
+
+    function recordDownload(deviceId) {
+        const { state } = track(deviceId);
+        state.status = 'downloading';
+        state.attempts++;
+        store.save();
+        return state;
+    }
+
+    // Device report after an update attempt: { status: 'success' | 'failed', version, error }
+    function report(deviceId, { status, version, error } = {}) {
+        if (!REPORT_STATUSES.includes(status)) {
+            throw new HttpError(400, `status must be one of: ${REPORT_STATUSES.join(', ')}`);
+        }
+        if (status === 'success' && !version) {
+            throw new HttpError(400, 'version is required when reporting success');
+        }
+
+        const now = new Date().toISOString();
+        const changes = status === 'success'
+            ? { status, reported_version: String(version), reported_at: now, last_error: null }
+            : { status, last_error: error === undefined ? null : String(error) };
+        if (status === 'failed' && version) {
+            Object.assign(changes, { reported_version: String(version), reported_at: now });
+        }
+        return track(deviceId, changes).state;
+    }
+
+    // Every registered or OTA-tracked device with its target, plus status counts
+    function rollout(workspace) {
+        const ids = new Set([...devices.list().map(device => device.device_id), ...Object.keys(states)]);
+        const entries = [...ids].filter(deviceId => devices.inWorkspace(deviceId, workspace)).sort().map(deviceId => {
+            const target = resolveTarget(deviceId);
+            const state = states[deviceId] || {};
+            const current = target && state.target_version === target.version;
+
+            return {
+                device_id: deviceId,
+                reported_version: state.reported_version || null,
+                reported_at: state.reported_at || null,
+                target_version: target ? target.version : null,
+                target_source: target ? target.source : null,
+                status: !target ? null : current ? state.status : 'pending',
+                attempts: current ? state.attempts : 0,
+                last_error: current ? state.last_error : null,
+                updated_at: state.updated_at || null
+            };
+        });
+
+        const summary = {};
+        entries.filter(entry => entry.status).forEach(entry => {
+            summary[entry.status] = (summary[entry.status] || 0) + 1;
+        });
+        return { summary, devices: entries };
+    }
+
+    return {
+        list,
+        get,
+        add,
+        remove,
+        imagePath,
+        versionByMd5,
+        getTargets,
+        setTarget,
+        resolveTarget,
+        check,
+        recordDownload,
+        report,
+        rollout
+    };
+}
+
+module.exports = { createFirmwareRepository };
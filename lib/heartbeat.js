@@ -0,0 +1,140 @@
+const HISTORY_LIMIT = 500;
+const WARMUP_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Tracks when each device last reported and classifies it against its expected
+// reporting interval: online, stale (missed staleFactor intervals) or offline
+// (missed offlineFactor intervals). Changes are emitted as 'device-status'.
+function createHeartbeatMonitor({ devices, storage, events, defaultInterval = 60, staleFactor = 2, offlineFactor = 5 }) {
+    const seen = new Map();     // device_id -> { last_seen, status, changed_at }
+    const history = [];         // recent status changes, oldest first
+    let timer = null;
+
+    function expectedInterval(deviceId) {
+        const device = devices.get(deviceId);
+        return (device && device.expected_interval) || defaultInterval;
+    }
+
+    function statusFor(deviceId, lastSeen, now) {
+        if (!lastSeen) return 'offline';
+
+        const age = (now - lastSeen) / 1000;
+        const interval = expectedInterval(deviceId);
+        if (age > interval * offlineFactor) return 'offline';
+        if (age > interval * staleFactor) return 'stale';
+        return 'online';
+    }
+
+    // Registered (non-revoked) devices plus any device that has reported
+    function knownDevices() {
+        const ids = new Set(seen.keys());
+        for (const device of devices.list()) {
+            if (device.revoked_at) ids.delete(device.device_id);
+            else ids.add(device.device_id);
+        }
+        return ids;
+    }
+
+    function entryFor(deviceId) {
+        if (!seen.has(deviceId)) {
+            seen.set(deviceId, { last_seen: null, status: null, changed_at: null });
+        }
+        return seen.get(deviceId);
+    }
+
+    // The first classification after startup is silent; only real changes are emitted
+    function setStatus(deviceId, status, now) {
+        const entry = entryFor(deviceId);
+        if (entry.status === status) return;
+
+        const previous = entry.status;
+        entry.status = status;
+        entry.changed_at = now;
+        if (previous === null) return;
+
+        const change = {
+            device_id: deviceId,
+            workspace_id: devices.workspaceOf(deviceId),
+            status,
+            previous,
+            last_seen: entry.last_seen ? new Date(entry.last_seen).toISOString() : null,
+            at: new Date(now).toISOString()
+        };
+
+        history.push(change);
+        if (history.length > HISTORY_LIMIT) history.shift();
+        events.emit('device-status', change);
+    }
+
+    function touch(record) {
+        const now = Date.now();
+        const entry = entryFor(record.device_id);
+        entry.last_seen = Date.parse(record.received_at) || now;
+        setStatus(record.device_id, statusFor(record.device_id, entry.last_seen, now), now);
+    }
+
+    function check(now = Date.now()) {
+        for (const deviceId of knownDevices()) {
+            setStatus(deviceId, statusFor(deviceId, entryFor(deviceId).last_seen, now), now);
+        }
+    }
+
+    // Seed last-seen times from the most recent week of stored readings
+    async function start({ checkIntervalMs = 15000 } = {}) {
+        for await (const record of storage.iterate({ from: Date.now() - WARMUP_MS, order: 'desc' })) {
+            const entry = entryFor(record.device_id);
+            if (entry.last_seen === null) {
+                entry.last_seen = Date.parse(record.received_at) || null;
+            }
+        }
+
+        check();
+        events.on('reading', touch);
+        timer = setInterval(check, checkIntervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        events.off('reading', touch);
+    }
+
+    function get(deviceId) {
+        const entry = seen.get(deviceId);
+        const device = devices.get(deviceId);
+        if (!entry && !device) return undefined;
+
+        return {
+            device_id: deviceId,
+            name: device ? device.name : deviceId,
+            workspace_id: devices.workspaceOf(deviceId),
+            status: statusFor(deviceId, entry && entry.last_seen, Date.now()),
+            last_seen: entry && entry.last_seen ? new Date(entry.last_seen).toISOString() : null,
+            expected_interval: expectedInterval(deviceId),
+            changed_at: entry && entry.changed_at ? new Date(entry.changed_at).toISOString() : null
+        };
+    }
+
+    // Every device, or those of one workspace
+    function list(workspace) {
+        return [...knownDevices()]
+            .filter(deviceId => devices.inWorkspace(deviceId, workspace))
+            .sort()
+            .map(get);
+    }
+
+    function listHistory(filter = {}) {
+        const limit = filter.limit || 100;
+        const results = [];
+
+        for (let i = history.length - 1; i >= 0 && results.length < limit; i--) {
+            if (filter.device_id && history[i].device_id !== filter.device_id) continue;
+            if (filter.workspace_id && history[i].workspace_id !== filter.workspace_id) continue;
+            results.push(history[i]);
+        }
+        return results;
+    }
+
+    return { start, stop, check, get, list, listHistory };
+}
+
+module.exports = { createHeartbeatMonitor };
@@ -0,0 +1,227 @@
+const { HttpError } = require('./errors');
+
+const IMPORT_FIELDS = ['device_id', 'timestamp', 'location'];
+const CHUNK_ROWS = 1000;
+const MAX_REPORTED_ERRORS = 1000;
+
+// Pick the delimiter that splits the header line into the most columns
+function detectDelimiter(text) {
+    const header = text.slice(0, text.search(/\r?\n|$/));
+    let best = ',';
+    for (const candidate of [';', '\t']) {
+        if (header.split(candidate).length > header.split(best).length) best = candidate;
+    }
+    return best;
+}
+
+// RFC 4180 CSV (quoted fields may contain delimiters, quotes and line breaks).
+// Returns { columns, rows: [{ row, values }] } where row is the line the record
+// starts on in the file, counting the header as line 1.
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let startLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push({ line: startLine, fields: record });
+            record = [];
+            field = '';
+            startLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: startLine, fields: record });
+    }
+
+    const nonEmpty = records.filter(entry => entry.fields.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        throw new HttpError(400, 'CSV file is empty');
+    }
+
+    const columns = nonEmpty[0].fields.map(name => name.trim());
+    const rows = nonEmpty.slice(1).map(entry => ({
+        row: entry.line,
+        values: Object.fromEntries(columns.map((name, index) => [name, entry.fields[index]]))
+    }));
+
+    return { columns, rows };
+}
+
+// JSON array, { readings: [...] } or NDJSON. Rows are numbered by array position
+// (from 1) or by line for NDJSON; unparseable NDJSON lines become null rows.
+function parseJson(text) {
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        body = undefined;
+    }
+
+    if (Array.isArray(body)) return body.map((values, index) => ({ row: index + 1, values }));
+    if (body && Array.isArray(body.readings)) return body.readings.map((values, index) => ({ row: index + 1, values }));
+
+    const rows = text.split('\n')
+        .map((line, index) => ({ row: index + 1, line }))
+        .filter(entry => entry.line.trim())
+        .map(entry => {
+            try {
+                return { row: entry.row, values: JSON.parse(entry.line) };
+            } catch (error) {
+                return { row: entry.row, values: null };
+            }
+        });
+
+    if (rows.every(entry => entry.values === null)) {
+        throw new HttpError(400, 'Expected a JSON array, { readings: [...] } or NDJSON');
+    }
+    return rows;
+}
+
+// "Time:timestamp,Temp (C):temperature" -> { Time: 'timestamp', 'Temp (C)': 'temperature' }
+function parseMapping(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+
+    const mapping = {};
+    for (const pair of String(value).split(',')) {
+        const separator = pair.lastIndexOf(':');
+        if (separator <= 0) {
+            throw new HttpError(400, `Invalid column mapping "${pair}" (expected source:target)`);
+        }
+        mapping[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+    return mapping;
+}
+
+// Historical backfill from CSV or JSON exports. Each row becomes a reading via a
+// column mapping, then goes through the batch ingest path in chunks, so rows are
+// validated one by one and readings already stored (device_id + timestamp) are skipped.
+function createImporter({ ingest, metrics }) {
+    function isTarget(name) {
+        return IMPORT_FIELDS.includes(name) || Boolean(metrics.get(name));
+    }
+
+    // Resolve source column -> reading field. Unmapped columns keep their name
+    // when it is a known field or metric, otherwise they are ignored.
+    function resolveColumns(columns, mapping) {
+        for (const [source, target] of Object.entries(mapping)) {
+            if (target && !isTarget(target)) {
+                throw new HttpError(400, `Cannot map column "${source}" to unknown field "${target}"`);
+            }
+        }
+
+        const resolved = {};
+        const ignored = [];
+        for (const column of columns) {
+            if (column === 'metrics') continue;
+            const target = column in mapping ? mapping[column] : column;
+            if (target && isTarget(target)) resolved[column] = target;
+            else ignored.push(column);
+        }
+        return { resolved, ignored };
+    }
+
+    function toReading(values, resolved, defaults) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) return null;
+
+        const reading = { ...defaults };
+        for (const [column, value] of Object.entries(values)) {
+            const target = resolved[column];
+            if (!target || value === undefined || value === null) continue;
+            if (typeof value === 'string' && value.trim() === '') continue;
+            reading[target] = typeof value === 'string' ? value.trim() : value;
+            // Decimal commas from European-locale loggers: "21,5" -> "21.5"
+            if (!IMPORT_FIELDS.includes(target) && /^-?\d+,\d+$/.test(reading[target])) {
+                reading[target] = reading[target].replace(',', '.');
+            }
+        }
+        // Nested metrics objects (e.g. rows from /api/export?format=ndjson) pass through
+        if (values.metrics && typeof values.metrics === 'object') {
+            reading.metrics = values.metrics;
+        }
+        return reading;
+    }
+
+    // Parse text as csv or json ('auto' sniffs the first character) and import it.
+    // defaults fill device_id / location for files that do not carry them; with a
+    // workspace, rows for devices of other workspaces are rejected.
+    async function importText(text, { format = 'auto', mapping = {}, defaults = {}, delimiter, workspace } = {}) {
+        if (!text || !text.trim()) {
+            throw new HttpError(400, 'Import file is empty');
+        }
+        if (format === 'auto') {
+            format = /^\s*[[{]/.test(text) ? 'json' : 'csv';
+        }
+
+        let rows;
+        let columns;
+        if (format === 'csv') {
+            ({ rows, columns } = parseCsv(text, delimiter));
+        } else if (format === 'json') {
+            rows = parseJson(text);
+            columns = [...new Set(rows.flatMap(entry =>
+                entry.values && typeof entry.values === 'object' ? Object.keys(entry.values) : []))];
+        } else {
+            throw new HttpError(400, 'format must be one of: csv, json');
+        }
+
+        const { resolved, ignored } = resolveColumns(columns, parseMapping(mapping));
+        if (!Object.values(resolved).includes('timestamp')) {
+            throw new HttpError(400, 'No timestamp column: map one with timestamp as the target');
+        }
+
+        const summary = { rows: rows.length, stored: 0, duplicate: 0, rejected: 0 };
+        const errors = [];
+
+        for (let start = 0; start < rows.length; start += CHUNK_ROWS) {
+            const chunk = rows.slice(start, start + CHUNK_ROWS);
+            const readings = chunk.map(entry => toReading(entry.values, resolved, defaults));
+            const results = await ingest.ingestBatch(readings, { announce: false, transport: 'import', workspace });
+
+            results.forEach((result, index) => {
+                summary[result.status]++;
+                if (result.status === 'rejected' && errors.length < MAX_REPORTED_ERRORS) {
+                    errors.push({ row: chunk[index].row, message: result.message, errors: result.errors });
+                }
+            });
+        }
+
+        return {
+            summary,
+            columns: resolved,
+            ignored_columns: ignored,
+            errors,
+            errors_truncated: summary.rejected > errors.length
+        };
+    }
+
+    return { importText };
+}
+
+module.exports = { createImporter, parseCsv, parseJson, parseMapping };
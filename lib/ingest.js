@@ -0,0 +1,169 @@
+const { HttpError, ValidationError } = require('./errors');
+const { recordTime, isWallClockTime, MIN_TIME, MAX_CLOCK_SKEW_MS } = require('./storage');
+const { validate } = require('./validation');
+const { DEVICE_SCHEMA } = require('./devices');
+
+// Fields of a reading besides its metric values (validated against the metric registry).
+// A live reading may leave out timestamp or send millis() since boot; any time that
+// is not plausibly wall-clock time (see isWallClockTime) is replaced by the time it
+// was received. Buffered batch readings need a wall-clock timestamp.
+const READING_SCHEMA = {
+    device_id: DEVICE_SCHEMA.device_id,
+    timestamp: { type: 'timestamp' },
+    location: { type: 'string', maxLength: 100 }
+};
+const BATCH_READING_SCHEMA = {
+    ...READING_SCHEMA,
+    timestamp: { ...READING_SCHEMA.timestamp, required: true, min: MIN_TIME, max: () => Date.now() + MAX_CLOCK_SKEW_MS }
+};
+
+// Shared validation and storage path for every ingest route. Readings are
+// calibrated (see calibration.js), quality-checked (see quality.js), stored,
+// and announced on the event bus as 'reading' for alerts and other listeners.
+// transport (http, mqtt or import) labels the ingest counters in /metrics.
+function createIngest({ storage, metrics, events, quality, zones, devices, calibration, telemetry }) {
+    let lastId = 0;
+    let batchQueue = Promise.resolve();
+
+    const requestsTotal = telemetry.counter('esp32_ingest_requests_total',
+        'Ingest calls (single readings or batches) by transport');
+    const readingsTotal = telemetry.counter('esp32_ingest_readings_total',
+        'Readings accepted at ingest by transport and result (stored or duplicate)');
+    const validationFailures = telemetry.counter('esp32_ingest_validation_failures_total',
+        'Readings rejected by validation, by transport');
+    const writeDuration = telemetry.histogram('esp32_storage_write_duration_seconds',
+        'Time to append a set of ingested readings to storage');
+
+    async function write(records) {
+        const done = writeDuration.startTimer();
+        await storage.append(records);
+        done();
+    }
+
+    // Millisecond ids, bumped when several records are created in the same ms
+    function nextId() {
+        lastId = Math.max(Date.now(), lastId + 1);
+        return lastId;
+    }
+
+    // Validate a reading (every failing field is reported) and build the record to store
+    function buildRecord(input, schema = READING_SCHEMA) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new HttpError(400, 'Reading must be a JSON object', undefined, 'invalid_type');
+        }
+
+        // Numeric ids are common in firmware; they are stored as strings
+        const fields = typeof input.device_id === 'number' ? { ...input, device_id: String(input.device_id) } : input;
+        const { value: reading, errors } = validate(schema, fields);
+        const { values, errors: metricErrors } = metrics.parseReading(input);
+        errors.push(...metricErrors);
+        if (errors.length > 0) {
+            throw new ValidationError(errors, 'Invalid reading');
+        }
+
+        // A device assigned to a zone reports from there, whatever location it sends
+        const deviceId = reading.device_id;
+        const placement = zones.locate(deviceId);
+
+        const record = {
+            id: nextId(),
+            device_id: deviceId,
+            location: placement ? placement.location : reading.location || 'Unknown',
+            timestamp: isWallClockTime(reading.timestamp) ? reading.timestamp : Date.now(),
+            received_at: new Date().toISOString(),
+            workspace_id: devices.workspaceOf(deviceId),
+            metrics: values
+        };
+        if (placement) record.zone_id = placement.zone_id;
+        return calibration.apply(record);
+    }
+
+    async function ingest(input, { transport = 'http' } = {}) {
+        requestsTotal.inc({ transport });
+
+        let record;
+        try {
+            record = buildRecord(input);
+        } catch (error) {
+            if (error instanceof HttpError) validationFailures.inc({ transport });
+            throw error;
+        }
+
+        await quality.assess(record);
+        await write([record]);
+        readingsTotal.inc({ transport, result: 'stored' });
+        events.emit('reading', record);
+        return record;
+    }
+
+    // Validate each reading on its own, drop replays of readings already stored
+    // (same device_id and timestamp) and store the rest in time order.
+    // Returns one result per item: stored, duplicate or rejected.
+    // With announce: false nothing is emitted (history backfill should not raise alerts).
+    // With a workspace, readings from devices of other workspaces are rejected.
+    async function processBatch(items, { announce, transport, workspace }) {
+        const results = new Array(items.length);
+        const accepted = [];
+
+        items.forEach((item, index) => {
+            try {
+                const record = buildRecord(item, BATCH_READING_SCHEMA);
+                if (workspace !== undefined && record.workspace_id !== workspace) {
+                    throw new HttpError(403, `Device "${record.device_id}" is not in this workspace`);
+                }
+                accepted.push({ index, time: record.timestamp, record });
+            } catch (error) {
+                if (!(error instanceof HttpError)) throw error;
+                results[index] = { index, status: 'rejected', code: error.code, message: error.message, errors: error.details };
+                validationFailures.inc({ transport });
+            }
+        });
+
+        // Timestamps already stored for each device within the batch's time span
+        const seen = new Map();
+        for (const deviceId of new Set(accepted.map(entry => entry.record.device_id))) {
+            const times = accepted.filter(entry => entry.record.device_id === deviceId).map(entry => entry.time);
+            const stored = await storage.query({
+                device_id: deviceId,
+                from: times.reduce((a, b) => Math.min(a, b)),
+                to: times.reduce((a, b) => Math.max(a, b))
+            });
+            seen.set(deviceId, new Set(stored.map(recordTime)));
+        }
+
+        const fresh = [];
+        for (const entry of accepted) {
+            const times = seen.get(entry.record.device_id);
+            if (times.has(entry.time)) {
+                results[entry.index] = { index: entry.index, status: 'duplicate' };
+                continue;
+            }
+            times.add(entry.time);
+            fresh.push(entry);
+            results[entry.index] = { index: entry.index, status: 'stored', id: entry.record.id };
+        }
+
+        fresh.sort((a, b) => a.time - b.time);
+        for (const entry of fresh) {
+            await quality.assess(entry.record, { stateful: announce });
+        }
+        await write(fresh.map(entry => entry.record));
+        readingsTotal.inc({ transport, result: 'stored' }, fresh.length);
+        readingsTotal.inc({ transport, result: 'duplicate' }, accepted.length - fresh.length);
+        if (announce) fresh.forEach(entry => events.emit('reading', entry.record));
+
+        return results;
+    }
+
+    // Batches run one at a time so two concurrent replays cannot both store a reading
+    function ingestBatch(items, { announce = true, transport = 'http', workspace } = {}) {
+        requestsTotal.inc({ transport });
+        const result = batchQueue.then(() => processBatch(items, { announce, transport, workspace }));
+        batchQueue = result.catch(() => {});
+        return result;
+    }
+
+    return { buildRecord, ingest, ingestBatch };
+}
+
+module.exports = { createIngest };
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON document (registries, settings) kept in memory and persisted
+// atomically: written to a temp file first, then renamed over the original.
+function createJsonStore(file, defaults) {
+    let data = defaults;
+
+    try {
+        if (fs.existsSync(file)) {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`Error loading ${file}:`, error);
+    }
+
+    function save() {
+        const tmp = `${file}.tmp`;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file);
+    }
+
+    return {
+        get data() {
+            return data;
+        },
+        save
+    };
+}
+
+module.exports = { createJsonStore };
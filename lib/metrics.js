@@ -0,0 +1,106 @@
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+const { checkValue } = require('./validation');
+
+// Metrics known out of the box; more can be registered through /api/metrics
+const DEFAULT_METRICS = {
+    temperature: { unit: '°C', min: -40, max: 125, description: 'Air temperature' },
+    humidity: { unit: '%', min: 0, max: 100, description: 'Relative humidity' },
+    pressure: { unit: 'hPa', min: 300, max: 1100, description: 'Barometric pressure' },
+    co2: { unit: 'ppm', min: 0, max: 10000, description: 'CO2 concentration' },
+    pm25: { unit: 'µg/m³', min: 0, max: 1000, description: 'PM2.5 particulate matter' },
+    battery_voltage: { unit: 'V', min: 0, max: 5, description: 'Battery voltage' },
+    rssi: { unit: 'dBm', min: -120, max: 0, description: 'Wi-Fi signal strength' }
+};
+
+const METRIC_NAME_RE = /^[a-z][a-z0-9_]{0,31}$/;
+
+// Fields of an ingest payload that describe the reading rather than a metric
+const RESERVED_FIELDS = new Set([
+    'id', 'device_id', 'timestamp', 'location', 'zone_id', 'received_at', 'metrics', 'raw', 'quality', 'api_key', 'signature'
+]);
+
+function createMetricRegistry(options = {}) {
+    const store = createJsonStore(options.file, { metrics: structuredClone(DEFAULT_METRICS) });
+    const { metrics } = store.data;
+
+    function list() {
+        return Object.entries(metrics).map(([name, schema]) => ({ name, ...schema }));
+    }
+
+    function get(name) {
+        return metrics[name];
+    }
+
+    function define(name, { unit, min, max, description } = {}) {
+        if (!METRIC_NAME_RE.test(name)) {
+            throw new HttpError(400, 'Metric name must be lowercase letters, digits and underscores (max 32 chars)');
+        }
+        if (typeof unit !== 'string') {
+            throw new HttpError(400, 'Missing required field: unit');
+        }
+        for (const [field, value] of [['min', min], ['max', max]]) {
+            if (value !== undefined && value !== null && !Number.isFinite(value)) {
+                throw new HttpError(400, `${field} must be a number`);
+            }
+        }
+        if (Number.isFinite(min) && Number.isFinite(max) && min > max) {
+            throw new HttpError(400, 'min must not be greater than max');
+        }
+
+        metrics[name] = {
+            unit,
+            min: Number.isFinite(min) ? min : null,
+            max: Number.isFinite(max) ? max : null,
+            description: description || ''
+        };
+        store.save();
+        return { name, ...metrics[name] };
+    }
+
+    function remove(name) {
+        if (!metrics[name]) return false;
+        delete metrics[name];
+        store.save();
+        return true;
+    }
+
+    // Pull metric values out of an ingest payload. Accepts both the flat form
+    // ({ device_id, temperature, humidity }) and a nested one ({ device_id, metrics: {...} }).
+    // Values may be numbers or numeric strings (query parameters); NaN and
+    // Infinity are rejected. Errors are { field, code, message } (see validation.js).
+    function parseReading(input) {
+        const raw = {};
+        for (const [key, value] of Object.entries(input)) {
+            if (!RESERVED_FIELDS.has(key)) raw[key] = value;
+        }
+        if (input.metrics && typeof input.metrics === 'object') {
+            Object.assign(raw, input.metrics);
+        }
+
+        const values = {};
+        const errors = [];
+
+        for (const [name, value] of Object.entries(raw)) {
+            const schema = metrics[name];
+            if (!schema) {
+                errors.push({ field: name, code: 'unknown_metric', message: `Unknown metric "${name}"` });
+                continue;
+            }
+
+            const result = checkValue({ type: 'number', min: schema.min, max: schema.max, unit: schema.unit }, value, name);
+            if (result.error) errors.push({ field: name, ...result.error });
+            else values[name] = result.value;
+        }
+
+        if (errors.length === 0 && Object.keys(values).length === 0) {
+            errors.push({ field: 'metrics', code: 'required', message: 'At least one metric value is required' });
+        }
+
+        return { values, errors };
+    }
+
+    return { list, get, define, remove, parseReading };
+}
+
+module.exports = { createMetricRegistry, DEFAULT_METRICS };
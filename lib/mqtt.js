@@ -0,0 +1,156 @@
+const net = require('net');
+
+// MQTT ingest. Devices publish to
+//   {prefix}/{device_id}/{metric}   payload: a number, e.g. "21.5"
+//   {prefix}/{device_id}            payload: a JSON reading, same shape as POST /api/sensor-data
+// and every message goes through the same ingest path as HTTP. Single-metric
+// messages from one device arriving within coalesceMs are merged into one reading.
+function createMqttIngest({ ingest, devices, requireAuth = true, prefix = 'sensors', coalesceMs = 250 }) {
+    const pending = new Map();   // device_id -> { input, timer }
+    let broker = null;
+    let server = null;
+    let client = null;
+
+    function parseTopic(topic) {
+        const parts = topic.split('/');
+        if (parts[0] !== prefix || !parts[1]) return null;
+        if (parts.length === 2) return { device_id: parts[1] };
+        if (parts.length === 3 && parts[2] && parts[2] !== 'device_id') {
+            return { device_id: parts[1], metric: parts[2] };
+        }
+        return null;
+    }
+
+    async function store(input) {
+        try {
+            await ingest.ingest(input, { transport: 'mqtt' });
+        } catch (error) {
+            const details = error.details ? error.details.map(detail => detail.message).join('; ') : '';
+            console.error(`MQTT reading from ${input.device_id} rejected: ${error.message}`, details);
+        }
+    }
+
+    function flush(deviceId) {
+        const entry = pending.get(deviceId);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        pending.delete(deviceId);
+        store(entry.input);
+    }
+
+    function handleMessage(topic, payload) {
+        const target = parseTopic(topic);
+        if (!target) return;
+
+        const text = payload.toString('utf8').trim();
+
+        if (!target.metric) {
+            let body;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                console.error(`MQTT: invalid JSON on ${topic}`);
+                return;
+            }
+            store({ ...body, device_id: target.device_id });
+            return;
+        }
+
+        // A repeated metric means a new reading has started
+        let entry = pending.get(target.device_id);
+        if (entry && target.metric in entry.input) {
+            flush(target.device_id);
+            entry = null;
+        }
+        if (!entry) {
+            entry = {
+                input: { device_id: target.device_id },
+                timer: setTimeout(() => flush(target.device_id), coalesceMs)
+            };
+            pending.set(target.device_id, entry);
+        }
+        entry.input[target.metric] = text;
+    }
+
+    // Embedded broker: devices log in with username = device_id and
+    // password = API key, and may only publish and subscribe under their own
+    // topic, so one device cannot read another's (or another workspace's) readings.
+    function listen(port) {
+        const aedes = require('aedes');
+        broker = aedes();
+
+        broker.authenticate = (mqttClient, username, password, callback) => {
+            if (!requireAuth) return callback(null, true);
+
+            try {
+                devices.verify(String(username), { api_key: password ? password.toString('utf8') : undefined });
+                mqttClient.device_id = String(username);
+                callback(null, true);
+            } catch (error) {
+                const refused = new Error(error.message);
+                refused.returnCode = 4; // bad user name or password
+                callback(refused, false);
+            }
+        };
+
+        broker.authorizePublish = (mqttClient, packet, callback) => {
+            const target = parseTopic(packet.topic);
+            if (requireAuth && (!target || target.device_id !== mqttClient.device_id)) {
+                return callback(new Error(`Publishing to ${packet.topic} is not allowed`));
+            }
+            callback(null);
+        };
+
+        // Wildcards are fine inside the device's own subtree (sensors/esp1/#),
+        // never above it (sensors/#, sensors/+/temperature). Denied subscriptions
+        // get a failure in the SUBACK; the connection stays open.
+        broker.authorizeSubscribe = (mqttClient, subscription, callback) => {
+            if (!requireAuth) return callback(null, subscription);
+
+            const own = `${prefix}/${mqttClient.device_id}`;
+            if (subscription.topic !== own && !subscription.topic.startsWith(`${own}/`)) {
+                return callback(null, null);
+            }
+            callback(null, subscription);
+        };
+
+        broker.on('publish', (packet, mqttClient) => {
+            if (mqttClient) handleMessage(packet.topic, packet.payload);
+        });
+
+        server = net.createServer(broker.handle);
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, resolve);
+        });
+    }
+
+    // Subscribe through an existing broker. Device credentials are not checked in
+    // this mode: who may publish or subscribe to which topic (and so which
+    // workspace a reading lands in) is up to that broker's own ACLs.
+    function connect(url, options = {}) {
+        const mqtt = require('mqtt');
+        client = mqtt.connect(url, options);
+
+        client.on('connect', () => {
+            client.subscribe([`${prefix}/+`, `${prefix}/+/+`], error => {
+                if (error) console.error('MQTT subscribe failed:', error.message);
+            });
+        });
+        client.on('message', handleMessage);
+        client.on('error', error => console.error('MQTT client error:', error.message));
+    }
+
+    async function close() {
+        for (const deviceId of [...pending.keys()]) flush(deviceId);
+
+        if (client) await client.endAsync();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (broker) await new Promise(resolve => broker.close(resolve));
+    }
+
+    return { handleMessage, listen, connect, close };
+}
+
+module.exports = { createMqttIngest };
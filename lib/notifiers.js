@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+// Appends each alert as a JSON line to a local file - works without any network
+function createLogSink(file) {
+    return {
+        async send(event) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, JSON.stringify(event) + '\n');
+            console.warn(`🚨 [${event.state}] ${event.message}`);
+        }
+    };
+}
+
+// POSTs each alert as JSON to the rule's webhook_url, or the default url.
+// Rules may only point at origins in options.allowlist (e.g.
+// ['https://hooks.example.com']) so rule editors cannot make the server call
+// arbitrary, possibly internal, URLs. The default url is trusted configuration.
+function createWebhookSink(options = {}) {
+    const timeoutMs = options.timeoutMs || 5000;
+    const allowlist = new Set((options.allowlist || []).map(origin => origin.replace(/\/+$/, '')));
+
+    // Why a rule's webhook_url cannot be used, or undefined when it can
+    function validate(rule) {
+        if (!rule.webhook_url) return undefined;
+
+        let url;
+        try {
+            url = new URL(rule.webhook_url);
+        } catch (error) {
+            return 'webhook_url must be an absolute http(s) URL';
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return 'webhook_url must be an absolute http(s) URL';
+        }
+        if (!allowlist.has(url.origin)) {
+            return `webhook_url origin ${url.origin} is not in ALERT_WEBHOOK_ALLOWLIST`;
+        }
+        return undefined;
+    }
+
+    return {
+        validate,
+
+        async send(event, rule) {
+            if (rule && validate(rule)) {
+                throw new Error(validate(rule));
+            }
+            const url = (rule && rule.webhook_url) || options.url;
+            if (!url) {
+                throw new Error('No webhook URL configured');
+            }
+
+            // Redirects are refused: they could lead outside the allow-list
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(event),
+                redirect: 'error',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook ${url} responded ${response.status}`);
+            }
+        }
+    };
+}
+
+// Dispatches an alert to the sinks a rule selects. Delivery failures are logged
+// and reported in the result, never thrown, so one broken webhook cannot affect
+// ingest or the other sinks.
+function createNotifier(sinks) {
+    async function notify(event, rule) {
+        const names = (rule && rule.sinks) || ['log'];
+
+        return Promise.all(names.map(async name => {
+            try {
+                await sinks[name].send(event, rule);
+                return { sink: name, delivered: true };
+            } catch (error) {
+                console.error(`Error delivering alert via ${name}:`, error.message);
+                return { sink: name, delivered: false, error: error.message };
+            }
+        }));
+    }
+
+    // Why a rule cannot use its sinks' settings (e.g. webhook_url), or undefined
+    function validate(rule) {
+        for (const name of rule.sinks || []) {
+            const problem = sinks[name] && sinks[name].validate && sinks[name].validate(rule);
+            if (problem) return problem;
+        }
+        return undefined;
+    }
+
+    return {
+        sinks: Object.keys(sinks),
+        notify,
+        validate
+    };
+}
+
+module.exports = { createLogSink, createWebhookSink, createNotifier };
@@ -0,0 +1,183 @@
+const { createJsonStore } = require('./json-store');
+const { HttpError, ValidationError } = require('./errors');
+
+const WARMUP_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Plausible ranges are tighter than the registry's hard min/max: values outside
+// them are stored but flagged. min_delta is the smallest jump counted as a spike.
+const DEFAULT_CONFIG = {
+    enabled: true,
+    zero_check: true,
+    window: 20,
+    min_samples: 5,
+    spike_threshold: 5,
+    stuck_after: 30,
+    metrics: {
+        temperature: { min: -40, max: 80, min_delta: 2 },
+        humidity: { min: 1, max: 100, min_delta: 5 },
+        pressure: { min: 870, max: 1085, min_delta: 5 },
+        co2: { min: 250, max: 10000, min_delta: 200 },
+        pm25: { min_delta: 50 },
+        battery_voltage: { min_delta: 0.3 },
+        rssi: { min_delta: 15, stuck_after: null }
+    }
+};
+
+const SETTINGS = ['window', 'min_samples', 'spike_threshold', 'stuck_after'];
+const METRIC_SETTINGS = ['min', 'max', 'min_delta', 'stuck_after'];
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function isNumberOrNull(value) {
+    return value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+// Flags implausible readings at ingest time. Every stored record gets a quality
+// field: { status: 'good' } or { status: 'suspect', flags: [{ metric, check, message }] }.
+// Checks: all metrics zero (typical DHT read failure), plausible bounds, a value
+// stuck for stuck_after readings, and spikes against a rolling median (Hampel filter).
+// Flags already on the record (calibration that could not be applied) are kept.
+function createQualityChecker({ file, storage }) {
+    const store = createJsonStore(file, structuredClone(DEFAULT_CONFIG));
+    const config = store.data;
+    const windows = new Map();  // `${device_id}:${metric}` -> { values, last, repeats }
+    const warmed = new Set();   // devices whose history has been loaded
+
+    function getConfig() {
+        return config;
+    }
+
+    function update(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new HttpError(400, 'Quality settings must be a JSON object');
+        }
+
+        const errors = [];
+        for (const field of ['enabled', 'zero_check']) {
+            if (input[field] !== undefined && typeof input[field] !== 'boolean') {
+                errors.push({ field, code: 'invalid_type', message: `${field} must be true or false` });
+            }
+        }
+        for (const field of SETTINGS) {
+            if (input[field] !== undefined && !(isNumberOrNull(input[field]) && (input[field] === null || input[field] > 0))) {
+                errors.push({ field, code: 'invalid_value', message: `${field} must be a positive number${field === 'stuck_after' ? ' or null' : ''}` });
+            }
+        }
+        for (const [name, settings] of Object.entries(input.metrics || {})) {
+            for (const [field, value] of Object.entries(settings || {})) {
+                if (!METRIC_SETTINGS.includes(field) || !isNumberOrNull(value)) {
+                    errors.push({ field: `metrics.${name}.${field}`, code: 'invalid_value', message: `must be one of ${METRIC_SETTINGS.join(', ')} with a number or null` });
+                }
+            }
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(errors, 'Invalid quality settings');
+        }
+
+        for (const field of ['enabled', 'zero_check', ...SETTINGS]) {
+            if (input[field] !== undefined) config[field] = input[field];
+        }
+        for (const [name, settings] of Object.entries(input.metrics || {})) {
+            config.metrics[name] = settings === null ? {} : { ...config.metrics[name], ...settings };
+        }
+
+        store.save();
+        windows.clear();
+        warmed.clear();
+        return config;
+    }
+
+    function stateFor(deviceId, metric) {
+        const key = `${deviceId}:${metric}`;
+        if (!windows.has(key)) windows.set(key, { values: [], last: undefined, repeats: 0 });
+        return windows.get(key);
+    }
+
+    function remember(state, value) {
+        state.repeats = value === state.last ? state.repeats + 1 : 1;
+        state.last = value;
+        state.values.push(value);
+        if (state.values.length > config.window) state.values.shift();
+    }
+
+    // Seed the rolling windows from the device's most recent good readings
+    async function warm(deviceId) {
+        if (warmed.has(deviceId)) return;
+        warmed.add(deviceId);
+
+        const recent = await storage.query({
+            device_id: deviceId,
+            from: Date.now() - WARMUP_MS,
+            quality: 'good',
+            order: 'desc',
+            limit: config.window
+        });
+        for (const record of recent.reverse()) {
+            for (const [name, value] of Object.entries(record.metrics)) {
+                remember(stateFor(deviceId, name), value);
+            }
+        }
+    }
+
+    // Sets record.quality. Stateless checks always run; stuck/spike detection
+    // (stateful: true) needs readings to arrive in time order from a live device.
+    async function assess(record, { stateful = true } = {}) {
+        if (!config.enabled) {
+            record.quality = record.quality || { status: 'good' };
+            return record;
+        }
+        if (stateful) await warm(record.device_id);
+
+        const flags = record.quality ? [...record.quality.flags] : [];
+        const values = Object.entries(record.metrics);
+
+        if (config.zero_check && values.length >= 2 && values.every(([, value]) => value === 0)) {
+            flags.push({ metric: null, check: 'all_zero', message: 'Every metric is 0 (sensor read failure?)' });
+        }
+
+        for (const [name, value] of values) {
+            const settings = config.metrics[name] || {};
+            const state = stateFor(record.device_id, name);
+
+            if ((settings.min !== undefined && settings.min !== null && value < settings.min) ||
+                (settings.max !== undefined && settings.max !== null && value > settings.max)) {
+                flags.push({ metric: name, check: 'out_of_bounds', message: `${name} ${value} is outside the plausible range ${settings.min ?? '-∞'}..${settings.max ?? '∞'}` });
+                continue;
+            }
+            if (flags.some(flag => flag.check === 'all_zero') || !stateful) continue;
+
+            const stuckAfter = settings.stuck_after !== undefined ? settings.stuck_after : config.stuck_after;
+            if (stuckAfter && value === state.last && state.repeats + 1 >= stuckAfter) {
+                flags.push({ metric: name, check: 'stuck', message: `${name} has read ${value} for ${state.repeats + 1} readings in a row` });
+            } else if (state.values.length >= config.min_samples) {
+                // Robust z-score: deviation from the rolling median in units of MAD
+                const center = median(state.values);
+                const mad = median(state.values.map(previous => Math.abs(previous - center)));
+                const limit = Math.max(config.spike_threshold * 1.4826 * mad, settings.min_delta || 0);
+                if (limit > 0 && Math.abs(value - center) > limit) {
+                    flags.push({ metric: name, check: 'spike', message: `${name} jumped to ${value} (rolling median ${Number(center.toFixed(2))})` });
+                }
+            }
+
+            remember(state, value);
+        }
+
+        record.quality = flags.length === 0 ? { status: 'good' } : { status: 'suspect', flags };
+        return record;
+    }
+
+    return { getConfig, update, assess };
+}
+
+// Metrics of a reading that a quality flag applies to (null metric: all of them)
+function flaggedMetrics(record) {
+    const flags = (record.quality && record.quality.flags) || [];
+    if (flags.some(flag => flag.metric === null)) return new Set(Object.keys(record.metrics));
+    return new Set(flags.map(flag => flag.metric));
+}
+
+module.exports = { createQualityChecker, flaggedMetrics, DEFAULT_CONFIG };
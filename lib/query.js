@@ -0,0 +1,232 @@
+const { HttpError } = require('./errors');
+const { recordTime } = require('./storage');
+const { accumulate } = require('./retention');
+const { parseUnit } = require('./units');
+
+const MAX_LIMIT = 5000;
+const MAX_BUCKETS = 2000;
+// Window used for aggregated queries when no `from` is given: this many buckets back
+const DEFAULT_BUCKETS = 100;
+// Target bucket count for interval=auto
+const AUTO_BUCKETS = 500;
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const AUTO_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '3h', '6h', '12h', '1d', '7d'];
+const QUALITY_STATUSES = ['good', 'suspect'];
+const DATA_GROUPS = ['device'];
+
+// Accepts epoch ms, epoch seconds or an ISO date string
+function parseTime(value, name) {
+    if (value === undefined || value === '') return undefined;
+
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new HttpError(400, `${name} must be an ISO date or epoch timestamp`);
+    }
+    return parsed;
+}
+
+// "30s", "5m", "1h", "1d" -> milliseconds
+function parseInterval(value) {
+    const match = /^(\d+)([smhd])$/.exec(value);
+    if (!match || Number(match[1]) === 0) {
+        throw new HttpError(400, 'interval must look like 30s, 5m, 1h or 1d');
+    }
+    return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        if (Number.isFinite(cursor.t) && Number.isInteger(cursor.n)) return cursor;
+    } catch (error) {
+        // fall through
+    }
+    throw new HttpError(400, 'Invalid cursor');
+}
+
+// Parse the query string shared by /api/data and /api/data/:device_id
+function parseDataQuery(query) {
+    const limit = parseInt(query.limit) || 50;
+    const order = query.order || 'desc';
+
+    if (limit < 1 || limit > MAX_LIMIT) {
+        throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        throw new HttpError(400, 'order must be asc or desc');
+    }
+
+    const from = parseTime(query.from, 'from');
+    const to = parseTime(query.to, 'to');
+    if (from !== undefined && to !== undefined && from > to) {
+        throw new HttpError(400, 'from must not be after to');
+    }
+
+    if (query.quality !== undefined && !QUALITY_STATUSES.includes(query.quality)) {
+        throw new HttpError(400, `quality must be one of: ${QUALITY_STATUSES.join(', ')}`);
+    }
+
+    if (query.group_by !== undefined && !DATA_GROUPS.includes(query.group_by)) {
+        throw new HttpError(400, `group_by must be one of: ${DATA_GROUPS.join(', ')}`);
+    }
+
+    return {
+        from,
+        to,
+        limit,
+        order,
+        quality: query.quality,
+        deviceIds: query.device_id ? String(query.device_id).split(',').map(id => id.trim()).filter(Boolean) : undefined,
+        groupBy: query.group_by,
+        cursor: query.cursor ? decodeCursor(query.cursor) : undefined,
+        interval: query.interval,
+        unit: parseUnit(query.unit)
+    };
+}
+
+// One page of raw records. The cursor remembers the time of the last record
+// returned and how many records at exactly that time were already sent, so
+// readings sharing a timestamp are neither skipped nor repeated.
+async function readPage(storage, filter, { limit, cursor }) {
+    const pageFilter = { ...filter };
+    let skip = 0;
+
+    if (cursor) {
+        if (filter.order === 'asc') pageFilter.from = cursor.t;
+        else pageFilter.to = cursor.t;
+        skip = cursor.n;
+    }
+
+    const data = [];
+    let lastTime;
+    let sameTime = 0;
+    let hasMore = false;
+
+    for await (const record of storage.iterate(pageFilter)) {
+        const time = recordTime(record);
+
+        if (skip > 0 && time === cursor.t) {
+            skip--;
+            continue;
+        }
+        if (data.length === limit) {
+            hasMore = true;
+            break;
+        }
+
+        data.push(record);
+        sameTime = time === lastTime ? sameTime + 1 : 1;
+        lastTime = time;
+    }
+
+    let next_cursor = null;
+    if (hasMore) {
+        const carried = cursor && lastTime === cursor.t ? cursor.n : 0;
+        next_cursor = encodeCursor({ t: lastTime, n: sameTime + carried });
+    }
+
+    return { data, next_cursor };
+}
+
+// Resolve interval/from/to for an aggregated query, keeping the bucket count bounded
+async function resolveBuckets(sources, filter, { interval, from, to }) {
+    to = to === undefined ? Date.now() : to;
+
+    if (interval === 'auto') {
+        if (from === undefined) {
+            from = to;
+            for (const source of sources) {
+                const [first] = await source.query({ ...filter, order: 'asc', limit: 1 });
+                if (first) from = Math.min(from, recordTime(first));
+            }
+        }
+        const span = Math.max(to - from, 1);
+        interval = AUTO_INTERVALS.find(candidate => span / parseInterval(candidate) <= AUTO_BUCKETS) ||
+            AUTO_INTERVALS[AUTO_INTERVALS.length - 1];
+    }
+
+    const intervalMs = parseInterval(interval);
+    if (from === undefined) {
+        from = to - intervalMs * DEFAULT_BUCKETS;
+    }
+
+    // Align to interval boundaries (UTC) so bucket edges are stable between requests
+    from = Math.floor(from / intervalMs) * intervalMs;
+
+    if ((to - from) / intervalMs > MAX_BUCKETS) {
+        throw new HttpError(400, `Range too large for interval ${interval} (max ${MAX_BUCKETS} buckets)`);
+    }
+
+    return { interval, intervalMs, from, to };
+}
+
+// Downsample records into fixed time buckets with min/max/avg/count per metric.
+// Empty buckets are omitted. Hourly/daily rollups (see retention.js) passed in
+// options.rollups cover data whose raw readings have been rolled up, so older
+// ranges still aggregate, at no finer than the rollup's own resolution.
+// options.groupBy = 'device' returns one bucket series per device instead
+// ({ series: [{ device_id, buckets }] }), all on the same bucket edges.
+async function aggregate(storage, filter, options) {
+    const sources = [storage, ...(options.rollups || [])];
+    const { interval, intervalMs, from, to } = await resolveBuckets(sources, filter, options);
+    const byDevice = options.groupBy === 'device';
+    const groups = new Map();   // device_id (or null when not grouped) -> start -> bucket
+
+    for (const source of sources) {
+        for await (const record of source.iterate({ ...filter, from, to, order: 'asc' })) {
+            const start = Math.floor(recordTime(record) / intervalMs) * intervalMs;
+            const key = byDevice ? record.device_id : null;
+
+            if (!groups.has(key)) groups.set(key, new Map());
+            const buckets = groups.get(key);
+            if (!buckets.has(start)) {
+                buckets.set(start, { start, count: 0, stats: {} });
+            }
+            accumulate(buckets.get(start), record);
+        }
+    }
+
+    const toResults = (buckets = new Map()) => {
+        const results = [...buckets.values()].sort((a, b) => a.start - b.start).map(bucket => ({
+            start: new Date(bucket.start).toISOString(),
+            end: new Date(bucket.start + intervalMs).toISOString(),
+            count: bucket.count,
+            metrics: Object.fromEntries(Object.entries(bucket.stats).map(([name, acc]) => [name, {
+                min: acc.min,
+                max: acc.max,
+                avg: acc.sum / acc.count,
+                count: acc.count
+            }]))
+        }));
+
+        if (filter.order === 'desc') results.reverse();
+        return results;
+    };
+
+    const result = {
+        interval,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString()
+    };
+    if (byDevice) {
+        result.series = [...groups.keys()].sort().map(deviceId => ({
+            device_id: deviceId,
+            buckets: toResults(groups.get(deviceId))
+        }));
+    } else {
+        result.buckets = toResults(groups.get(null));
+    }
+    return result;
+}
+
+module.exports = { parseTime, parseInterval, parseDataQuery, readPage, aggregate, QUALITY_STATUSES };
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+const { recordTime } = require('./storage');
+const { flaggedMetrics } = require('./quality');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Storage tiers, finest first. Data older than a tier's *_days moves to the next
+// tier that is kept (rolled up to that tier's interval); past the last one it is purged.
+const TIERS = [
+    { name: 'raw', field: 'raw_days' },
+    { name: 'hourly', field: 'hourly_days', interval: '1h', intervalMs: HOUR_MS },
+    { name: 'daily', field: 'daily_days', interval: '1d', intervalMs: DAY_MS }
+];
+
+// null keeps a tier forever; 0 skips it (data passes straight to the next tier)
+const KEEP_EVERYTHING = { raw_days: null, hourly_days: null, daily_days: null };
+
+function validatePolicy(input, base) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new HttpError(400, 'Policy must be a JSON object');
+    }
+
+    const policy = {};
+    for (const { field } of TIERS) {
+        const value = input[field] === undefined ? base[field] : input[field];
+        if (value !== null && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+            throw new HttpError(400, `${field} must be a non-negative number of days or null (keep forever)`);
+        }
+        policy[field] = value;
+    }
+
+    // Nothing ever reaches a tier behind one that is kept forever
+    for (let i = 1; i < TIERS.length; i++) {
+        if (policy[TIERS[i - 1].field] === null && policy[TIERS[i].field] !== null) {
+            throw new HttpError(400, `${TIERS[i].field} needs ${TIERS[i - 1].field} to be set`);
+        }
+    }
+    return policy;
+}
+
+// Summary of a bucket of readings (or of finer rollups) as a rollup record
+function toRollup(bucket, tier) {
+    const stats = {};
+    const metrics = {};
+    for (const [name, acc] of Object.entries(bucket.stats)) {
+        const avg = acc.sum / acc.count;
+        stats[name] = { min: acc.min, max: acc.max, avg, count: acc.count };
+        metrics[name] = avg;
+    }
+
+    return {
+        id: crypto.randomUUID(),
+        device_id: bucket.device_id,
+        location: bucket.location,
+        zone_id: bucket.zone_id,
+        workspace_id: bucket.workspace_id,
+        timestamp: new Date(bucket.start).toISOString(),
+        received_at: new Date().toISOString(),
+        interval: tier.interval,
+        count: bucket.count,
+        metrics,
+        stats
+    };
+}
+
+// Fold a raw reading, or a rollup record (which carries stats), into a bucket
+function accumulate(bucket, record) {
+    const merge = (name, min, max, sum, count) => {
+        const acc = bucket.stats[name] || (bucket.stats[name] = { min, max, sum: 0, count: 0 });
+        acc.min = Math.min(acc.min, min);
+        acc.max = Math.max(acc.max, max);
+        acc.sum += sum;
+        acc.count += count;
+    };
+
+    if (record.stats) {
+        bucket.count += record.count;
+        for (const [name, stat] of Object.entries(record.stats)) {
+            merge(name, stat.min, stat.max, stat.avg * stat.count, stat.count);
+        }
+    } else {
+        bucket.count++;
+        for (const [name, value] of Object.entries(record.metrics)) {
+            merge(name, value, value, value, 1);
+        }
+    }
+    if (record.location) bucket.location = record.location;
+    if (record.zone_id) bucket.zone_id = record.zone_id;
+    if (record.workspace_id) bucket.workspace_id = record.workspace_id;
+}
+
+// Values flagged by quality checks are left out of rollups (the flags are not kept)
+function withoutFlagged(record) {
+    const flagged = flaggedMetrics(record);
+    if (flagged.size === 0) return record;
+    return {
+        ...record,
+        metrics: Object.fromEntries(Object.entries(record.metrics).filter(([name]) => !flagged.has(name)))
+    };
+}
+
+// Retention policies (global default plus per-device overrides) and the job that
+// applies them: raw readings -> hourly rollups -> daily rollups -> purged.
+// stores holds one storage per tier, in TIERS order.
+function createRetentionManager({ file, stores }) {
+    const store = createJsonStore(file, { default: { ...KEEP_EVERYTHING }, devices: {} });
+    let running = false;
+    let lastRun = null;
+    let timers = [];
+
+    function getPolicies() {
+        return { default: store.data.default, devices: store.data.devices };
+    }
+
+    function policyFor(deviceId) {
+        return { ...store.data.default, ...store.data.devices[deviceId] };
+    }
+
+    function setDefault(input) {
+        store.data.default = validatePolicy(input, store.data.default);
+        store.save();
+        return store.data.default;
+    }
+
+    // Device overrides only keep the fields given; the rest follow the default
+    function setDevicePolicy(deviceId, input) {
+        const override = { ...store.data.devices[deviceId] };
+        for (const { field } of TIERS) {
+            if (input && input[field] !== undefined) override[field] = input[field];
+        }
+        validatePolicy(override, store.data.default);
+
+        store.data.devices[deviceId] = override;
+        store.save();
+        return policyFor(deviceId);
+    }
+
+    function removeDevicePolicy(deviceId) {
+        if (!store.data.devices[deviceId]) {
+            throw new HttpError(404, `No retention override for device "${deviceId}"`);
+        }
+        delete store.data.devices[deviceId];
+        store.save();
+    }
+
+    // Next kept tier after index, or -1 when data leaving this tier is purged
+    function targetTier(policy, index) {
+        for (let i = index + 1; i < TIERS.length; i++) {
+            if (policy[TIERS[i].field] !== 0) return i;
+        }
+        return -1;
+    }
+
+    // Records in tier index older than this leave it. Aligned down to the target
+    // interval so only complete buckets are rolled up.
+    function cutoffFor(policy, index, now) {
+        const days = policy[TIERS[index].field];
+        if (days === null) return null;
+
+        const cutoff = now - days * DAY_MS;
+        const target = targetTier(policy, index);
+        if (target === -1) return cutoff;
+        return Math.floor(cutoff / TIERS[target].intervalMs) * TIERS[target].intervalMs;
+    }
+
+    // Merge new buckets into the target tier. Existing rollups for the same bucket
+    // (late or re-imported data) are folded in and replaced after the new ones are written.
+    async function writeRollups(index, buckets) {
+        const target = stores[index];
+        const byDevice = new Map();
+        for (const bucket of buckets.values()) {
+            if (!byDevice.has(bucket.device_id)) byDevice.set(bucket.device_id, []);
+            byDevice.get(bucket.device_id).push(bucket);
+        }
+
+        const replaced = new Set();
+        for (const [deviceId, deviceBuckets] of byDevice) {
+            const starts = deviceBuckets.map(bucket => bucket.start);
+            const existing = await target.query({
+                device_id: deviceId,
+                from: Math.min(...starts),
+                to: Math.max(...starts)
+            });
+            for (const record of existing) {
+                const bucket = buckets.get(`${deviceId}|${recordTime(record)}`);
+                if (!bucket) continue;
+                accumulate(bucket, record);
+                replaced.add(record.id);
+            }
+        }
+
+        await target.append([...buckets.values()].sort((a, b) => a.start - b.start).map(bucket => toRollup(bucket, TIERS[index])));
+        if (replaced.size > 0) {
+            const starts = [...buckets.values()].map(bucket => bucket.start);
+            await target.remove({ from: Math.min(...starts), to: Math.max(...starts) }, record => replaced.has(record.id));
+        }
+        return buckets.size;
+    }
+
+    // Move everything past its cutoff out of one tier, a UTC day at a time
+    async function processTier(index, now, summary) {
+        const source = stores[index];
+        const policies = [store.data.default, ...Object.keys(store.data.devices).map(policyFor)];
+        const cutoffs = policies.map(policy => cutoffFor(policy, index, now)).filter(cutoff => cutoff !== null);
+        if (cutoffs.length === 0) return;
+
+        const limit = Math.max(...cutoffs);
+        const [first] = await source.query({ to: limit - 1, order: 'asc', limit: 1 });
+        if (!first) return;
+
+        for (let day = Math.floor(recordTime(first) / DAY_MS) * DAY_MS; day < limit; day += DAY_MS) {
+            const window = { from: day, to: Math.min(day + DAY_MS, limit) - 1 };
+            const buckets = TIERS.map(() => new Map());
+            const moved = new Set();
+
+            for await (const record of source.iterate({ ...window, order: 'asc' })) {
+                const policy = policyFor(record.device_id);
+                const cutoff = cutoffFor(policy, index, now);
+                const time = recordTime(record);
+                if (cutoff === null || time >= cutoff) continue;
+
+                moved.add(record.id);
+                const target = targetTier(policy, index);
+                if (target === -1) continue;
+
+                const start = Math.floor(time / TIERS[target].intervalMs) * TIERS[target].intervalMs;
+                const key = `${record.device_id}|${start}`;
+                if (!buckets[target].has(key)) {
+                    buckets[target].set(key, { device_id: record.device_id, location: null, start, count: 0, stats: {} });
+                }
+                accumulate(buckets[target].get(key), withoutFlagged(record));
+            }
+            if (moved.size === 0) continue;
+
+            // Rollups are written before the source records are removed, so a crash
+            // in between can double count a bucket but never loses data
+            for (let target = index + 1; target < TIERS.length; target++) {
+                if (buckets[target].size === 0) continue;
+                summary.rolled_up[TIERS[target].name] += await writeRollups(target, buckets[target]);
+            }
+            summary.removed[TIERS[index].name] += await source.remove(window, record => moved.has(record.id));
+        }
+    }
+
+    async function run(now = Date.now()) {
+        if (running) {
+            throw new HttpError(409, 'Retention job is already running');
+        }
+        running = true;
+
+        const summary = {
+            started_at: new Date(now).toISOString(),
+            finished_at: null,
+            rolled_up: { hourly: 0, daily: 0 },
+            removed: { raw: 0, hourly: 0, daily: 0 }
+        };
+        try {
+            for (let index = 0; index < TIERS.length; index++) {
+                await processTier(index, now, summary);
+            }
+        } finally {
+            running = false;
+        }
+
+        summary.finished_at = new Date().toISOString();
+        lastRun = summary;
+        return summary;
+    }
+
+    async function runScheduled() {
+        if (running) return;
+        try {
+            const summary = await run();
+            const removed = Object.values(summary.removed).reduce((a, b) => a + b, 0);
+            if (removed > 0) console.log('Retention job finished:', summary);
+        } catch (error) {
+            console.error('Retention job failed:', error);
+        }
+    }
+
+    // First run shortly after startup, then every intervalMs
+    function start({ intervalMs = HOUR_MS, delayMs = 60 * 1000 } = {}) {
+        timers = [setTimeout(runScheduled, delayMs), setInterval(runScheduled, intervalMs)];
+        timers.forEach(timer => timer.unref());
+    }
+
+    function stop() {
+        timers.forEach(timer => clearTimeout(timer));
+        timers = [];
+    }
+
+    async function status() {
+        const tiers = {};
+        for (let i = 0; i < TIERS.length; i++) {
+            tiers[TIERS[i].name] = await stores[i].count();
+        }
+        return { running, last_run: lastRun, tiers };
+    }
+
+    // Rollup records of one tier ('hourly' or 'daily')
+    async function queryRollups(tierName, filter) {
+        const index = TIERS.findIndex(tier => tier.name === tierName && tier.interval);
+        if (index === -1) {
+            throw new HttpError(400, 'interval must be hourly or daily');
+        }
+        return stores[index].query(filter);
+    }
+
+    return {
+        getPolicies,
+        policyFor,
+        setDefault,
+        setDevicePolicy,
+        removeDevicePolicy,
+        run,
+        start,
+        stop,
+        status,
+        queryRollups
+    };
+}
+
+module.exports = { createRetentionManager, accumulate, TIERS };
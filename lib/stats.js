@@ -0,0 +1,217 @@
+const { HttpError } = require('./errors');
+const { parseTime, parseInterval, QUALITY_STATUSES } = require('./query');
+const { parseUnit } = require('./units');
+
+// Named windows accepted alongside interval strings such as "6h" or "30d";
+// window=all covers the whole history
+const WINDOWS = { hour: '1h', day: '1d', week: '7d', month: '30d' };
+// Used when neither window nor from is given, so a bare /api/stats stays cheap
+const DEFAULT_WINDOW = 'day';
+// Values kept per metric and group for percentiles. Up to this many readings the
+// median and percentiles are exact; beyond it they come from a uniform sample.
+const MAX_SAMPLES = 10000;
+// group_by options and the key each one groups readings by
+const GROUP_KEYS = {
+    device: record => record.device_id,
+    location: record => record.location || 'Unknown',
+    zone: record => record.zone_id || 'unassigned'
+};
+const GROUPS = Object.keys(GROUP_KEYS);
+
+// Dew point (°C) from temperature (°C) and relative humidity (%), Magnus formula
+function dewPoint(temperature, humidity) {
+    if (humidity <= 0) return undefined;
+    const a = 17.62;
+    const b = 243.12;
+    const gamma = Math.log(humidity / 100) + (a * temperature) / (b + temperature);
+    return (b * gamma) / (a - gamma);
+}
+
+// Heat index (°C) from temperature (°C) and relative humidity (%), using the
+// NWS Rothfusz regression with its low-humidity / high-humidity adjustments
+function heatIndex(temperature, humidity) {
+    const t = temperature * 9 / 5 + 32;
+    const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + humidity * 0.094);
+
+    let index = (simple + t) / 2;
+    if (index >= 80) {
+        index = -42.379 + 2.04901523 * t + 10.14333127 * humidity
+            - 0.22475541 * t * humidity - 0.00683783 * t * t
+            - 0.05481717 * humidity * humidity + 0.00122874 * t * t * humidity
+            + 0.00085282 * t * humidity * humidity - 0.00000199 * t * t * humidity * humidity;
+
+        if (humidity < 13 && t >= 80 && t <= 112) {
+            index -= ((13 - humidity) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+        } else if (humidity > 85 && t >= 80 && t <= 87) {
+            index += ((humidity - 85) / 10) * ((87 - t) / 5);
+        }
+    }
+    return (index - 32) * 5 / 9;
+}
+
+// Values derived from a reading's metrics; needs temperature and humidity
+function derive(metrics) {
+    const { temperature, humidity } = metrics;
+    if (temperature === undefined || humidity === undefined) return {};
+
+    const derived = { heat_index: heatIndex(temperature, humidity) };
+    const dew = dewPoint(temperature, humidity);
+    if (dew !== undefined) derived.dew_point = dew;
+    return derived;
+}
+
+// Linear interpolation between closest ranks (sorted must be ascending)
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Running count, min, max, mean and variance (Welford) of one metric, plus a
+// reservoir sample of at most maxSamples values for the percentiles
+function createAccumulator() {
+    return { count: 0, min: Infinity, max: -Infinity, mean: 0, m2: 0, sample: [] };
+}
+
+function accumulate(acc, value, maxSamples = MAX_SAMPLES) {
+    acc.count++;
+    acc.min = Math.min(acc.min, value);
+    acc.max = Math.max(acc.max, value);
+    const delta = value - acc.mean;
+    acc.mean += delta / acc.count;
+    acc.m2 += delta * (value - acc.mean);
+
+    if (acc.sample.length < maxSamples) {
+        acc.sample.push(value);
+    } else {
+        const slot = Math.floor(Math.random() * acc.count);
+        if (slot < maxSamples) acc.sample[slot] = value;
+    }
+}
+
+// Stats of an accumulator, or of a plain array of values
+function summarize(input) {
+    let acc = input;
+    if (Array.isArray(input)) {
+        acc = createAccumulator();
+        input.forEach(value => accumulate(acc, value, Infinity));
+    }
+    const sorted = Float64Array.from(acc.sample).sort();
+
+    const summary = {
+        count: acc.count,
+        min: acc.min,
+        max: acc.max,
+        avg: acc.mean,
+        median: quantile(sorted, 0.5),
+        p95: quantile(sorted, 0.95),
+        p99: quantile(sorted, 0.99),
+        stddev: Math.sqrt(acc.m2 / acc.count)
+    };
+    if (acc.count > sorted.length) summary.sampled = true;
+    return summary;
+}
+
+function createGroup() {
+    return { count: 0, metrics: {}, derived: {} };
+}
+
+function addTo(group, record, derived) {
+    group.count++;
+    for (const [name, value] of Object.entries(record.metrics)) {
+        accumulate(group.metrics[name] || (group.metrics[name] = createAccumulator()), value);
+    }
+    for (const [name, value] of Object.entries(derived)) {
+        accumulate(group.derived[name] || (group.derived[name] = createAccumulator()), value);
+    }
+}
+
+// Parse /api/stats query options: window (hour|day|week|month|all or e.g. 6h;
+// default day) or from/to, device_id (comma-separated), group_by=device,location,zone,
+// quality and unit
+function parseStatsQuery(query) {
+    let from = parseTime(query.from, 'from');
+    const to = parseTime(query.to, 'to');
+    const window = query.window || (from === undefined ? DEFAULT_WINDOW : undefined);
+
+    if (query.window && from !== undefined) {
+        throw new HttpError(400, 'Use either window or from, not both');
+    }
+    if (window && window !== 'all') {
+        let span;
+        try {
+            span = parseInterval(WINDOWS[window] || window);
+        } catch (error) {
+            throw new HttpError(400, `window must be one of ${Object.keys(WINDOWS).join(', ')}, all or look like 6h or 30d`);
+        }
+        from = (to === undefined ? Date.now() : to) - span;
+    }
+
+    const groupBy = query.group_by ? String(query.group_by).split(',').map(group => group.trim()) : [];
+    const unknown = groupBy.filter(group => !GROUPS.includes(group));
+    if (unknown.length > 0) {
+        throw new HttpError(400, `group_by must be one or more of: ${GROUPS.join(', ')}`);
+    }
+
+    if (query.quality !== undefined && !QUALITY_STATUSES.includes(query.quality)) {
+        throw new HttpError(400, `quality must be one of: ${QUALITY_STATUSES.join(', ')}`);
+    }
+
+    const deviceIds = query.device_id ? String(query.device_id).split(',').map(id => id.trim()).filter(Boolean) : undefined;
+
+    return { filter: { from, to, device_ids: deviceIds, quality: query.quality }, groupBy, unit: parseUnit(query.unit) };
+}
+
+// Summary statistics over stored readings. Metric stats carry the registry unit;
+// derived values (dew point, heat index) are in °C and assume temperature in °C.
+async function computeStats(storage, metrics, { filter, groupBy = [] }) {
+    const overall = createGroup();
+    const groups = Object.fromEntries(GROUPS.map(group => [group, new Map()]));
+    const devices = new Set();
+    let latest = null;
+
+    for await (const record of storage.iterate({ ...filter, order: 'asc' })) {
+        const derived = derive(record.metrics);
+        addTo(overall, record, derived);
+        devices.add(record.device_id);
+        latest = record;
+
+        for (const group of groupBy) {
+            const key = GROUP_KEYS[group](record);
+            if (!groups[group].has(key)) groups[group].set(key, createGroup());
+            addTo(groups[group].get(key), record, derived);
+        }
+    }
+
+    const describe = group => ({
+        count: group.count,
+        metrics: Object.fromEntries(Object.entries(group.metrics).map(([name, acc]) => {
+            const schema = metrics.get(name);
+            return [name, { unit: schema ? schema.unit : null, ...summarize(acc) }];
+        })),
+        derived: Object.fromEntries(Object.entries(group.derived).map(([name, acc]) =>
+            [name, { unit: '°C', ...summarize(acc) }]))
+    });
+
+    const summary = describe(overall);
+    const stats = {
+        total_records: overall.count,
+        window: {
+            from: filter.from !== undefined ? new Date(filter.from).toISOString() : null,
+            to: filter.to !== undefined ? new Date(filter.to).toISOString() : null
+        },
+        metrics: summary.metrics,
+        derived: summary.derived,
+        devices: [...devices],
+        latest_reading: latest
+    };
+
+    for (const group of groupBy) {
+        stats[`by_${group}`] = Object.fromEntries([...groups[group]].map(([key, value]) => [key, describe(value)]));
+    }
+
+    return stats;
+}
+
+module.exports = { computeStats, parseStatsQuery, dewPoint, heatIndex, summarize };
@@ -0,0 +1,83 @@
+// Earliest time taken as a reading's wall-clock time. A millis() since boot value
+// above 1e9 (12 days of uptime) also parses as epoch seconds; read that way it
+// lands before MIN_TIME or in the future for all but roughly 18-21 days of
+// uptime, so such readings fall back to received_at.
+const MIN_TIME = Date.parse('2020-01-01T00:00:00Z');
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+function isWallClockTime(time) {
+    return time >= MIN_TIME && time <= Date.now() + MAX_CLOCK_SKEW_MS;
+}
+
+// Resolve the time of a record (epoch ms), used for partitioning and ordering.
+// Boards may send epoch seconds, epoch ms, an ISO string, or millis() since boot
+// (not wall-clock time) - in the last case we fall back to received_at.
+function recordTime(record) {
+    const ts = record.timestamp;
+
+    if (typeof ts === 'number' && Number.isFinite(ts)) {
+        if (ts >= 1e12) return ts;
+        if (ts >= 1e9 && isWallClockTime(ts * 1000)) return ts * 1000;
+    } else if (typeof ts === 'string' && ts !== '') {
+        const numeric = Number(ts);
+        if (Number.isFinite(numeric)) {
+            return recordTime({ ...record, timestamp: numeric });
+        }
+        const parsed = Date.parse(ts);
+        if (!Number.isNaN(parsed)) return parsed;
+    }
+
+    const received = Date.parse(record.received_at);
+    return Number.isNaN(received) ? Date.now() : received;
+}
+
+// Records written before readings carried a metrics map stored values such as
+// temperature/humidity as top-level fields; move those into metrics.
+const RECORD_FIELDS = new Set(['id', 'device_id', 'location', 'zone_id', 'workspace_id', 'timestamp', 'received_at', 'metrics', 'raw', 'quality']);
+
+function normalizeRecord(record) {
+    if (record.metrics) return record;
+
+    const normalized = { metrics: {} };
+    for (const [key, value] of Object.entries(record)) {
+        if (!RECORD_FIELDS.has(key) && typeof value === 'number') {
+            normalized.metrics[key] = value;
+        } else {
+            normalized[key] = value;
+        }
+    }
+    return normalized;
+}
+
+function toEntry(record) {
+    const normalized = normalizeRecord(record);
+    return { time: recordTime(normalized), record: normalized };
+}
+
+// Check a record against a query filter ({ workspace_id, device_id, device_ids, zone_ids, from, to, quality }).
+// Records stored before quality checks existed count as good, and those stored
+// before workspaces existed belong to the default workspace.
+function matchesFilter(record, time, filter) {
+    if (filter.workspace_id !== undefined && (record.workspace_id || 'default') !== filter.workspace_id) return false;
+    if (filter.device_id !== undefined && record.device_id !== filter.device_id) return false;
+    if (filter.device_ids !== undefined && !filter.device_ids.includes(record.device_id)) return false;
+    if (filter.zone_ids !== undefined && !filter.zone_ids.includes(record.zone_id)) return false;
+    if (filter.quality !== undefined && (record.quality ? record.quality.status : 'good') !== filter.quality) return false;
+    if (filter.from !== undefined && time < filter.from) return false;
+    if (filter.to !== undefined && time > filter.to) return false;
+    return true;
+}
+
+// Insert { time, record } entries into an array kept sorted by time.
+// Readings usually arrive in order, so this is a push in the common case.
+function insertSorted(entries, additions) {
+    for (const entry of additions) {
+        let index = entries.length;
+        while (index > 0 && entries[index - 1].time > entry.time) {
+            index--;
+        }
+        entries.splice(index, 0, entry);
+    }
+}
+
+module.exports = { MIN_TIME, MAX_CLOCK_SKEW_MS, isWallClockTime, recordTime, normalizeRecord, toEntry, matchesFilter, insertSorted };
@@ -0,0 +1,24 @@
+const { createSegmentLogStorage } = require('./segment-log');
+const { createMemoryStorage } = require('./memory');
+const { MIN_TIME, MAX_CLOCK_SKEW_MS, isWallClockTime, recordTime } = require('./common');
+
+// Every backend exposes the same async interface:
+//   open(), append(records), iterate(filter), query(filter), remove(filter, predicate), count(filter), close()
+// where filter is { workspace_id, device_id, device_ids, zone_ids, from, to, quality, order: 'asc' | 'desc', limit }.
+const BACKENDS = {
+    'segment-log': createSegmentLogStorage,
+    memory: createMemoryStorage
+};
+
+function createStorage(options = {}) {
+    const name = options.backend || process.env.STORAGE_BACKEND || 'segment-log';
+    const factory = BACKENDS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    return factory(options);
+}
+
+module.exports = { createStorage, recordTime, isWallClockTime, MIN_TIME, MAX_CLOCK_SKEW_MS };
@@ -0,0 +1,55 @@
+const { toEntry, matchesFilter, insertSorted } = require('./common');
+
+// Non-persistent backend, useful for development and throwaway runs
+function createMemoryStorage() {
+    const entries = [];
+
+    async function open() {}
+
+    async function append(records) {
+        insertSorted(entries, records.map(toEntry));
+    }
+
+    async function* iterate(filter = {}) {
+        const ordered = filter.order === 'desc' ? entries.slice().reverse() : entries.slice();
+
+        for (const { time, record } of ordered) {
+            if (matchesFilter(record, time, filter)) {
+                yield record;
+            }
+        }
+    }
+
+    async function query(filter = {}) {
+        const results = [];
+        for await (const record of iterate(filter)) {
+            results.push(record);
+            if (filter.limit && results.length >= filter.limit) break;
+        }
+        return results;
+    }
+
+    async function remove(filter = {}, predicate = () => true) {
+        let kept = 0;
+        for (const entry of entries) {
+            if (!(matchesFilter(entry.record, entry.time, filter) && predicate(entry.record, entry.time))) {
+                entries[kept++] = entry;
+            }
+        }
+
+        const removed = entries.length - kept;
+        entries.length = kept;
+        return removed;
+    }
+
+    async function count(filter) {
+        if (!filter) return entries.length;
+        return entries.filter(entry => matchesFilter(entry.record, entry.time, filter)).length;
+    }
+
+    async function close() {}
+
+    return { open, append, iterate, query, remove, count, close };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { toEntry, matchesFilter, insertSorted } = require('./common');
+
+// Append-only log, one NDJSON segment per UTC day: data/readings/2025-01-31.ndjson
+const SEGMENT_RE = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function segmentKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function segmentStart(key) {
+    return Date.parse(`${key}T00:00:00.000Z`);
+}
+
+function createSegmentLogStorage(options = {}) {
+    const dir = options.dir || path.join('data', 'readings');
+    const cacheSize = options.cacheSize || 7;
+
+    const segments = new Map();   // key -> record count
+    const cache = new Map();      // key -> [{ time, record }] sorted by time, LRU order
+    let queue = Promise.resolve();
+
+    // Disk access is serialized so a segment is never read while a write to it is in flight
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    function segmentPath(key) {
+        return path.join(dir, `${key}.ndjson`);
+    }
+
+    // A crash in the middle of an append leaves a partial last line; cut it off
+    // so the next append starts on a clean line. Returns the number of lines kept.
+    async function repairSegment(file) {
+        const buffer = await fs.promises.readFile(file);
+        const end = buffer.lastIndexOf(0x0a) + 1;
+
+        if (end < buffer.length) {
+            console.warn(`Truncating ${buffer.length - end} bytes of partial write in ${file}`);
+            await fs.promises.truncate(file, end);
+        }
+
+        let lines = 0;
+        for (let i = 0; i < end; i++) {
+            if (buffer[i] === 0x0a) lines++;
+        }
+        return lines;
+    }
+
+    async function open() {
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        for (const file of await fs.promises.readdir(dir)) {
+            const match = SEGMENT_RE.exec(file);
+            if (!match) continue;
+            segments.set(match[1], await repairSegment(path.join(dir, file)));
+        }
+    }
+
+    function loadSegment(key) {
+        const cached = cache.get(key);
+        if (cached) {
+            cache.delete(key);
+            cache.set(key, cached);
+            return Promise.resolve(cached);
+        }
+
+        return enqueue(async () => {
+            if (cache.has(key)) return cache.get(key);
+
+            const entries = await readSegment(key);
+            segments.set(key, entries.length);
+
+            cacheSegment(key, entries);
+            return entries;
+        });
+    }
+
+    // Parse a segment file into entries sorted by time. Callers hold the disk queue.
+    async function readSegment(key) {
+        const entries = [];
+        const content = await fs.promises.readFile(segmentPath(key), 'utf8');
+
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+            try {
+                entries.push(toEntry(JSON.parse(line)));
+            } catch (error) {
+                console.warn(`Skipping corrupt line in segment ${key}`);
+            }
+        }
+
+        return entries.sort((a, b) => a.time - b.time);
+    }
+
+    function cacheSegment(key, entries) {
+        cache.delete(key);
+        cache.set(key, entries);
+        if (cache.size > cacheSize) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    function append(records) {
+        const groups = new Map();
+
+        for (const record of records) {
+            const entry = toEntry(record);
+            const key = segmentKey(entry.time);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        }
+
+        return enqueue(async () => {
+            for (const [key, entries] of groups) {
+                const lines = entries.map(entry => JSON.stringify(entry.record) + '\n').join('');
+                await fs.promises.appendFile(segmentPath(key), lines);
+
+                segments.set(key, (segments.get(key) || 0) + entries.length);
+                if (cache.has(key)) {
+                    insertSorted(cache.get(key), entries);
+                }
+            }
+        });
+    }
+
+    // Segment keys that may hold records in the filter's time range, oldest first
+    function segmentsIn(filter) {
+        return [...segments.keys()]
+            .filter(key => {
+                const start = segmentStart(key);
+                return (filter.from === undefined || start + DAY_MS > filter.from) &&
+                    (filter.to === undefined || start <= filter.to);
+            })
+            .sort();
+    }
+
+    // Yield records matching the filter, in time order ('asc') or newest first ('desc')
+    async function* iterate(filter = {}) {
+        const keys = segmentsIn(filter);
+
+        if (filter.order === 'desc') keys.reverse();
+
+        for (const key of keys) {
+            const entries = (await loadSegment(key)).slice();
+            if (filter.order === 'desc') entries.reverse();
+
+            for (const { time, record } of entries) {
+                if (matchesFilter(record, time, filter)) {
+                    yield record;
+                }
+            }
+        }
+    }
+
+    async function query(filter = {}) {
+        const results = [];
+        for await (const record of iterate(filter)) {
+            results.push(record);
+            if (filter.limit && results.length >= filter.limit) break;
+        }
+        return results;
+    }
+
+    // Delete records matching the filter (and predicate, if given). Each affected
+    // segment is rewritten to a temporary file and renamed over the original, so a
+    // crash leaves either the old or the new segment. Returns the number removed.
+    async function remove(filter = {}, predicate = () => true) {
+        let removed = 0;
+
+        for (const key of segmentsIn(filter)) {
+            removed += await enqueue(async () => {
+                const entries = await readSegment(key);
+                const kept = entries.filter(({ time, record }) =>
+                    !(matchesFilter(record, time, filter) && predicate(record, time)));
+                if (kept.length === entries.length) return 0;
+
+                const file = segmentPath(key);
+                if (kept.length === 0) {
+                    await fs.promises.unlink(file);
+                    segments.delete(key);
+                    cache.delete(key);
+                } else {
+                    const tmp = `${file}.tmp`;
+                    await fs.promises.writeFile(tmp, kept.map(entry => JSON.stringify(entry.record) + '\n').join(''));
+                    await fs.promises.rename(tmp, file);
+                    segments.set(key, kept.length);
+                    if (cache.has(key)) cacheSegment(key, kept);
+                }
+                return entries.length - kept.length;
+            });
+        }
+
+        return removed;
+    }
+
+    // All records, or those matching filter (which means reading through them)
+    async function count(filter) {
+        let total = 0;
+        if (filter) {
+            for await (const record of iterate(filter)) total++;
+            return total;
+        }
+        for (const value of segments.values()) total += value;
+        return total;
+    }
+
+    function close() {
+        return enqueue(() => {});
+    }
+
+    return { open, append, iterate, query, remove, count, close };
+}
+
+module.exports = { createSegmentLogStorage };
@@ -0,0 +1,116 @@
+// Server-internal metrics in the Prometheus text exposition format (version 0.0.4).
+// Counters and histograms are updated as things happen; gauges are collected at
+// scrape time from the function they are registered with.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function formatNumber(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Series of one metric family, keyed by their label set
+function createSeries(init) {
+    const series = new Map();
+    return {
+        get(labels) {
+            const key = JSON.stringify(labels);
+            if (!series.has(key)) series.set(key, { labels, ...init() });
+            return series.get(key);
+        },
+        values: () => [...series.values()]
+    };
+}
+
+function createTelemetry() {
+    const families = [];
+
+    function counter(name, help) {
+        const series = createSeries(() => ({ value: 0 }));
+        families.push({
+            name,
+            help,
+            type: 'counter',
+            samples: () => series.values().map(({ labels, value }) => ({ labels, value }))
+        });
+
+        return {
+            inc(labels = {}, amount = 1) {
+                series.get(labels).value += amount;
+            }
+        };
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = createSeries(() => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        families.push({
+            name,
+            help,
+            type: 'histogram',
+            samples: () => series.values().flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((le, index) => ({ suffix: '_bucket', labels: { ...labels, le }, value: counts[index] })),
+                { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+                { suffix: '_sum', labels, value: sum },
+                { suffix: '_count', labels, value: count }
+            ])
+        });
+
+        function observe(labels, seconds) {
+            const entry = series.get(labels);
+            buckets.forEach((le, index) => {
+                if (seconds <= le) entry.counts[index]++;
+            });
+            entry.sum += seconds;
+            entry.count++;
+        }
+
+        return {
+            observe,
+            // Returns a function that records the seconds elapsed since startTimer
+            startTimer(labels = {}) {
+                const start = process.hrtime.bigint();
+                return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+            }
+        };
+    }
+
+    // collect() returns (or resolves to) [{ labels, value }]
+    function gauge(name, help, collect) {
+        families.push({ name, help, type: 'gauge', samples: collect });
+    }
+
+    async function render() {
+        const lines = [];
+        for (const family of families) {
+            const samples = await family.samples();
+            lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${family.name} ${family.type}`);
+            for (const sample of samples) {
+                lines.push(`${family.name}${sample.suffix || ''}${formatLabels(sample.labels || {})} ${formatNumber(sample.value)}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Standard process metrics, under the names Prometheus client libraries use
+    const startTime = Math.floor(Date.now() / 1000 - process.uptime());
+    gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds',
+        () => [{ value: startTime }]);
+    gauge('process_resident_memory_bytes', 'Resident memory size in bytes',
+        () => [{ value: process.memoryUsage().rss }]);
+
+    return { counter, histogram, gauge, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { createTelemetry };
@@ -0,0 +1,111 @@
+const { HttpError } = require('./errors');
+
+// Temperatures are stored in °C (the registry unit); queries can ask for them
+// in another unit with ?unit=C|F|K. Other metrics are returned as stored.
+const TEMPERATURE_UNITS = {
+    C: { unit: '°C', scale: 1, offset: 0 },
+    F: { unit: '°F', scale: 9 / 5, offset: 32 },
+    K: { unit: 'K', scale: 1, offset: 273.15 }
+};
+const STORED_UNIT = '°C';
+
+// Summary fields that are temperatures; spreads (stddev) only scale
+const VALUE_FIELDS = ['min', 'max', 'avg', 'median', 'p95', 'p99'];
+const SPREAD_FIELDS = ['stddev'];
+
+const UNIT_NAMES = { c: 'C', celsius: 'C', f: 'F', fahrenheit: 'F', k: 'K', kelvin: 'K' };
+
+// ?unit= value to a TEMPERATURE_UNITS key; accepts C, °F, kelvin, ...
+function parseUnit(value) {
+    if (value === undefined || value === '') return undefined;
+
+    const key = UNIT_NAMES[String(value).replace(/^°/, '').trim().toLowerCase()];
+    if (!key) {
+        throw new HttpError(400, 'unit must be one of: C, F, K');
+    }
+    return key;
+}
+
+// Converts query results from stored units to the requested one. With no unit
+// (or C) every function returns its input unchanged.
+function createUnitConverter(metrics, unit) {
+    const target = TEMPERATURE_UNITS[unit || 'C'];
+    const active = target.unit !== STORED_UNIT;
+
+    const isTemperature = name => {
+        const schema = metrics.get(name);
+        return Boolean(schema && schema.unit === STORED_UNIT);
+    };
+    const value = celsius => celsius * target.scale + target.offset;
+
+    function convertValues(values) {
+        const converted = { ...values };
+        for (const [name, reading] of Object.entries(values)) {
+            if (isTemperature(name) && typeof reading === 'number') converted[name] = value(reading);
+        }
+        return converted;
+    }
+
+    // A stored reading (raw values before calibration are converted too)
+    function record(input) {
+        if (!active || !input) return input;
+        const output = { ...input, metrics: convertValues(input.metrics || {}) };
+        if (input.raw) output.raw = convertValues(input.raw);
+        return output;
+    }
+
+    // A { min, max, avg, ... } summary of a temperature
+    function summary(input) {
+        if (!active) return input;
+        const output = { ...input };
+        VALUE_FIELDS.forEach(field => {
+            if (typeof input[field] === 'number') output[field] = value(input[field]);
+        });
+        SPREAD_FIELDS.forEach(field => {
+            if (typeof input[field] === 'number') output[field] = input[field] * target.scale;
+        });
+        if (output.unit !== undefined) output.unit = target.unit;
+        return output;
+    }
+
+    // { name: summary } keyed by metric name; derived values are always temperatures
+    function summaries(input, allTemperatures = false) {
+        if (!active) return input;
+        return Object.fromEntries(Object.entries(input).map(([name, entry]) =>
+            [name, allTemperatures || isTemperature(name) ? summary(entry) : entry]));
+    }
+
+    // Result of computeStats (see stats.js)
+    function stats(input) {
+        if (!active || !input.total_records) return input;
+
+        const group = entry => ({
+            ...entry,
+            metrics: summaries(entry.metrics),
+            derived: summaries(entry.derived, true)
+        });
+        const output = { ...group(input), latest_reading: record(input.latest_reading) };
+        for (const key of Object.keys(input).filter(key => key.startsWith('by_'))) {
+            output[key] = Object.fromEntries(Object.entries(input[key]).map(([name, entry]) => [name, group(entry)]));
+        }
+        return output;
+    }
+
+    // Result of queryData: raw pages or aggregated buckets
+    function data(input) {
+        if (!active) return input;
+        const output = { ...input };
+        if (input.data) output.data = input.data.map(record);
+        if (input.buckets) {
+            output.buckets = input.buckets.map(bucket => ({ ...bucket, metrics: summaries(bucket.metrics) }));
+        }
+        if (input.series) {
+            output.series = input.series.map(series => data(series));
+        }
+        return output;
+    }
+
+    return { unit: target.unit, record, stats, data };
+}
+
+module.exports = { parseUnit, createUnitConverter, TEMPERATURE_UNITS };
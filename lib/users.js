@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+const { assertValid } = require('./validation');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+// Roles in increasing order of privilege; each role can do everything the ones
+// before it can:
+//   viewer    read data, stats, status and alerts
+//   operator  export and import data, manage devices, zones, calibration and firmware
+//   admin     change alert rules and retention policies, manage users
+// Server-wide settings (metric schema, quality checks, firmware images) also need
+// the user to be in the default workspace (see lib/auth).
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const USER_UPDATE_SCHEMA = {
+    name: { type: 'string', maxLength: 100 },
+    role: { type: 'string', enum: ROLES },
+    password: { type: 'string', minLength: 8, maxLength: 200 },
+    disabled: { type: 'boolean' }
+};
+const USER_SCHEMA = {
+    ...USER_UPDATE_SCHEMA,
+    username: {
+        type: 'string',
+        required: true,
+        maxLength: 64,
+        pattern: /^[a-z0-9_.-]+$/,
+        formatMessage: 'username may only contain lowercase letters, digits, _ . -'
+    },
+    role: { ...USER_UPDATE_SCHEMA.role, required: true },
+    password: { ...USER_UPDATE_SCHEMA.password, required: true },
+    workspace: { type: 'string', maxLength: 32 }
+};
+const TOKEN_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    role: { type: 'string', enum: ROLES },
+    expires_in_days: { type: 'integer', min: 1, max: 3650 }
+};
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function checkPassword(password, stored) {
+    const [, salt, hash] = String(stored).split('$');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Session ids and API tokens are only stored as SHA-256 digests
+function digest(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function workspaceOf(user) {
+    return user.workspace || DEFAULT_WORKSPACE;
+}
+
+function toPublic(user) {
+    const { password, ...rest } = user;
+    return { ...rest, workspace: workspaceOf(user) };
+}
+
+function isExpired(entry) {
+    return Boolean(entry.expires_at) && Date.parse(entry.expires_at) <= Date.now();
+}
+
+// Local user accounts with password logins, sessions and API tokens for scripts.
+// Tokens act with their own role, which can be lower than their owner's. Every
+// user belongs to one workspace; functions taking a workspace only see users of
+// that workspace (undefined = all).
+function createUserStore({ file, workspaces, sessionTtl = 7 * 24 * 3600 }) {
+    const store = createJsonStore(file, { users: {}, tokens: {}, sessions: {} });
+    const { users, tokens, sessions } = store.data;
+
+    function findOrThrow(username, workspace) {
+        const user = users[username];
+        if (!user || (workspace !== undefined && workspaceOf(user) !== workspace)) {
+            throw new HttpError(404, `User "${username}" not found`);
+        }
+        return user;
+    }
+
+    function list(workspace) {
+        return Object.values(users)
+            .filter(user => workspace === undefined || workspaceOf(user) === workspace)
+            .map(toPublic);
+    }
+
+    function get(username, workspace) {
+        return toPublic(findOrThrow(username, workspace));
+    }
+
+    function count() {
+        return Object.keys(users).length;
+    }
+
+    function create(input = {}) {
+        const { username, name, role, password, workspace = DEFAULT_WORKSPACE } = assertValid(USER_SCHEMA, input, {
+            message: 'Invalid user'
+        });
+        if (users[username]) {
+            throw new HttpError(409, `User "${username}" already exists`);
+        }
+        workspaces.get(workspace);
+
+        const now = new Date().toISOString();
+        users[username] = {
+            username,
+            name: name || username,
+            role,
+            password: hashPassword(password),
+            disabled: false,
+            workspace,
+            created_at: now,
+            updated_at: now
+        };
+        store.save();
+        return toPublic(users[username]);
+    }
+
+    // Changing the password or disabling the account ends its sessions
+    function update(username, input = {}, workspace) {
+        const user = findOrThrow(username, workspace);
+        const fields = assertValid(USER_UPDATE_SCHEMA, input, { message: 'Invalid user' });
+        const demoted = fields.role !== undefined && !hasRole({ role: fields.role }, 'admin');
+        if (user.role === 'admin' && (demoted || fields.disabled) && activeAdmins(workspaceOf(user)).length === 1) {
+            throw new HttpError(409, 'Cannot demote or disable the last admin of a workspace');
+        }
+
+        if (fields.name !== undefined) user.name = fields.name;
+        if (fields.role !== undefined) user.role = fields.role;
+        if (fields.password !== undefined) user.password = hashPassword(fields.password);
+        if (fields.disabled !== undefined) user.disabled = fields.disabled;
+        if (fields.password !== undefined || fields.disabled) endSessions(username);
+        user.updated_at = new Date().toISOString();
+        store.save();
+        return toPublic(user);
+    }
+
+    // Admins of the default workspace (workspace undefined) may remove the last
+    // admin of another workspace, as a step in deleting that workspace
+    function remove(username, workspace) {
+        const user = findOrThrow(username, workspace);
+        const keepAdmin = workspace !== undefined || workspaceOf(user) === DEFAULT_WORKSPACE;
+        if (keepAdmin && user.role === 'admin' && !user.disabled && activeAdmins(workspaceOf(user)).length === 1) {
+            throw new HttpError(409, 'Cannot delete the last admin of a workspace');
+        }
+
+        delete users[username];
+        endSessions(username);
+        for (const [id, token] of Object.entries(tokens)) {
+            if (token.username === username) delete tokens[id];
+        }
+        store.save();
+    }
+
+    function activeAdmins(workspace) {
+        return Object.values(users).filter(user => user.role === 'admin' && !user.disabled && workspaceOf(user) === workspace);
+    }
+
+    // Check a password login and open a session: { session, user, expires_at }
+    function login(username, password) {
+        const user = users[String(username || '')];
+        // Hash even for unknown users so response times do not reveal which exist
+        const valid = checkPassword(password || '', user ? user.password : `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`);
+        if (!user || !valid || user.disabled) {
+            throw new HttpError(401, 'Invalid username or password');
+        }
+
+        pruneSessions();
+        const session = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + sessionTtl * 1000).toISOString();
+        sessions[digest(session)] = { username, created_at: new Date().toISOString(), expires_at: expiresAt };
+        store.save();
+        return { session, user: toPublic(user), expires_at: expiresAt };
+    }
+
+    function logout(session) {
+        const key = digest(session);
+        if (!sessions[key]) return;
+        delete sessions[key];
+        store.save();
+    }
+
+    function endSessions(username) {
+        for (const [key, session] of Object.entries(sessions)) {
+            if (session.username === username) delete sessions[key];
+        }
+    }
+
+    function pruneSessions() {
+        for (const [key, session] of Object.entries(sessions)) {
+            if (isExpired(session)) delete sessions[key];
+        }
+    }
+
+    // The user behind a live session, or undefined
+    function verifySession(session) {
+        const entry = sessions[digest(session)];
+        if (!entry || isExpired(entry)) return undefined;
+
+        const user = users[entry.username];
+        return user && !user.disabled ? toPublic(user) : undefined;
+    }
+
+    // Tokens of one user, or of every user in a workspace ({ username } / { workspace })
+    function ownedBy(token, { username, workspace } = {}) {
+        if (username !== undefined && token.username !== username) return false;
+        return workspace === undefined || (users[token.username] && workspaceOf(users[token.username]) === workspace);
+    }
+
+    function listTokens(owner) {
+        return Object.values(tokens)
+            .filter(token => ownedBy(token, owner))
+            .map(({ hash, ...token }) => ({ ...token, expired: isExpired(token) }));
+    }
+
+    // The token itself is only returned here; it cannot be recovered later
+    function createToken(username, input = {}) {
+        const user = findOrThrow(username);
+        const { name, role = user.role, expires_in_days } = assertValid(TOKEN_SCHEMA, input, { message: 'Invalid token' });
+        if (!hasRole(user, role)) {
+            throw new HttpError(403, `A ${user.role} cannot create ${role} tokens`);
+        }
+
+        const id = crypto.randomBytes(6).toString('hex');
+        const secret = `esp_${crypto.randomBytes(24).toString('hex')}`;
+        tokens[id] = {
+            id,
+            name,
+            username,
+            role,
+            hash: digest(secret),
+            created_at: new Date().toISOString(),
+            expires_at: expires_in_days ? new Date(Date.now() + expires_in_days * 86400000).toISOString() : null
+        };
+        store.save();
+        return { ...listTokens({ username }).find(token => token.id === id), token: secret };
+    }
+
+    function revokeToken(id, owner) {
+        const token = tokens[id];
+        if (!token || !ownedBy(token, owner)) {
+            throw new HttpError(404, `Token "${id}" not found`);
+        }
+        delete tokens[id];
+        store.save();
+    }
+
+    // The user a token acts as (with the token's role), or undefined
+    function verifyToken(secret) {
+        const hash = digest(secret);
+        const token = Object.values(tokens).find(entry => entry.hash === hash);
+        if (!token || isExpired(token)) return undefined;
+
+        const user = users[token.username];
+        if (!user || user.disabled) return undefined;
+        const role = hasRole(user, token.role) ? token.role : user.role;
+        return { ...toPublic(user), role, token_id: token.id };
+    }
+
+    return {
+        list,
+        get,
+        count,
+        create,
+        update,
+        remove,
+        login,
+        logout,
+        verifySession,
+        listTokens,
+        createToken,
+        revokeToken,
+        verifyToken
+    };
+}
+
+module.exports = { createUserStore, hasRole, ROLES };
@@ -0,0 +1,170 @@
+const { HttpError, ValidationError } = require('./errors');
+
+// Declarative input validation. A schema maps field names to rules:
+//   { type, required, min, max, unit, minLength, maxLength, pattern, formatMessage, enum, fields, strict }
+// type is one of string, number, integer, boolean, timestamp or object. min and
+// max may be functions, evaluated at validation time (e.g. "not in the future").
+// Numbers and timestamps also accept numeric strings, since query strings carry
+// everything as text. Each failing field yields { field, code, message } with code:
+//   required        missing or empty
+//   invalid_type    wrong JSON type, or text that is not a number
+//   not_finite      NaN or +/-Infinity
+//   out_of_range    below min or above max
+//   too_short / too_long   string length outside minLength/maxLength
+//   invalid_format  does not match pattern, or not an ISO 8601 / epoch timestamp
+//   invalid_value   not one of enum
+//   unknown_field   not in the schema (objects with strict: true)
+
+const ISO_8601_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function bound(limit) {
+    return typeof limit === 'function' ? limit() : limit;
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return undefined;
+}
+
+// Epoch seconds are scaled to milliseconds, as everywhere else
+function toTime(value) {
+    const numeric = toNumber(value);
+    if (numeric !== undefined && !Number.isNaN(numeric)) {
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+    if (typeof value === 'string' && ISO_8601_RE.test(value.trim())) {
+        const parsed = Date.parse(value.trim());
+        if (!Number.isNaN(parsed)) return parsed;
+    }
+    return undefined;
+}
+
+function describeLimit(rule, limit) {
+    if (rule.type === 'timestamp') return new Date(limit).toISOString();
+    return rule.unit ? `${limit} ${rule.unit}` : String(limit);
+}
+
+// Check one value against its rule: { value } or { error: { code, message } }
+function checkValue(rule, value, label) {
+    const fail = (code, message) => ({ error: { code, message } });
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return fail('invalid_type', `${label} must be a string`);
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return fail('too_short', `${label} must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail('too_long', `${label} must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return fail('invalid_format', rule.formatMessage || `${label} has an invalid format`);
+            }
+            break;
+        }
+        case 'number':
+        case 'integer': {
+            const number = toNumber(value);
+            if (number === undefined || Number.isNaN(number)) {
+                return fail('invalid_type', `${label} must be a number`);
+            }
+            if (!Number.isFinite(number)) return fail('not_finite', `${label} must be a finite number`);
+            if (rule.type === 'integer' && !Number.isInteger(number)) {
+                return fail('invalid_type', `${label} must be an integer`);
+            }
+            value = number;
+            break;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('invalid_type', `${label} must be true or false`);
+            break;
+        case 'timestamp': {
+            const time = toTime(value);
+            if (time === undefined) {
+                return fail('invalid_format', `${label} must be an ISO 8601 date or epoch timestamp`);
+            }
+            if (!Number.isFinite(time)) return fail('not_finite', `${label} must be a finite number`);
+            value = time;
+            break;
+        }
+        case 'object':
+            if (!isPlainObject(value)) return fail('invalid_type', `${label} must be an object`);
+            break;
+        default:
+            throw new Error(`Unknown rule type "${rule.type}"`);
+    }
+
+    const min = bound(rule.min);
+    const max = bound(rule.max);
+    if (min !== undefined && min !== null && value < min) {
+        return fail('out_of_range', `${label} must be at least ${describeLimit(rule, min)}`);
+    }
+    if (max !== undefined && max !== null && value > max) {
+        return fail('out_of_range', `${label} must be at most ${describeLimit(rule, max)}`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return fail('invalid_value', `${label} must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    return { value };
+}
+
+// Validate input against schema. Returns { value, errors }: value holds the
+// schema's fields, converted (numbers, timestamps in epoch ms); absent optional
+// fields are left out. Nested object rules are validated with their fields.
+function validate(schema, input, { prefix = '', strict = false } = {}) {
+    const value = {};
+    const errors = [];
+    const source = isPlainObject(input) ? input : {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const field = prefix + name;
+        const raw = source[name];
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (rule.required) errors.push({ field, code: 'required', message: `${field} is required` });
+            continue;
+        }
+
+        const result = checkValue(rule, raw, field);
+        if (result.error) {
+            errors.push({ field, ...result.error });
+            continue;
+        }
+
+        if (rule.type === 'object' && rule.fields) {
+            const nested = validate(rule.fields, raw, { prefix: `${field}.`, strict: rule.strict });
+            errors.push(...nested.errors);
+            value[name] = nested.value;
+        } else {
+            value[name] = result.value;
+        }
+    }
+
+    if (strict) {
+        for (const name of Object.keys(source).filter(key => !schema[key])) {
+            errors.push({ field: prefix + name, code: 'unknown_field', message: `${prefix + name} is not a known field` });
+        }
+    }
+
+    return { value, errors };
+}
+
+// Validate or throw a ValidationError listing every failing field
+function assertValid(schema, input, { message, strict } = {}) {
+    if (input !== undefined && !isPlainObject(input)) {
+        throw new HttpError(400, 'Expected a JSON object', undefined, 'invalid_type');
+    }
+    const { value, errors } = validate(schema, input, { strict });
+    if (errors.length > 0) {
+        throw new ValidationError(errors, message);
+    }
+    return value;
+}
+
+module.exports = { validate, assertValid, checkValue };
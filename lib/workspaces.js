@@ -0,0 +1,132 @@
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+const { assertValid } = require('./validation');
+
+// Devices, users and data from before workspaces existed belong here. Admins of
+// the default workspace also manage server-wide settings and the other workspaces.
+const DEFAULT_WORKSPACE = 'default';
+
+const WORKSPACE_UPDATE_SCHEMA = {
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 500 }
+};
+const WORKSPACE_SCHEMA = {
+    id: {
+        type: 'string',
+        required: true,
+        maxLength: 32,
+        pattern: /^[a-z0-9][a-z0-9-]*$/,
+        formatMessage: 'id may only contain lowercase letters, digits and -'
+    },
+    ...WORKSPACE_UPDATE_SCHEMA
+};
+
+// Tenants sharing the server. Each owns its devices, zones, alert rules and
+// users, and only sees readings from its own devices.
+function createWorkspaceRegistry({ file }) {
+    const store = createJsonStore(file, { workspaces: {} });
+    const { workspaces } = store.data;
+
+    if (!workspaces[DEFAULT_WORKSPACE]) {
+        const now = new Date().toISOString();
+        workspaces[DEFAULT_WORKSPACE] = {
+            id: DEFAULT_WORKSPACE,
+            name: 'Default',
+            description: '',
+            created_at: now,
+            updated_at: now
+        };
+    }
+
+    function findOrThrow(id) {
+        if (!workspaces[id]) {
+            throw new HttpError(404, `Workspace "${id}" not found`);
+        }
+        return workspaces[id];
+    }
+
+    function list() {
+        return Object.values(workspaces);
+    }
+
+    function get(id) {
+        return findOrThrow(id);
+    }
+
+    function exists(id) {
+        return Boolean(workspaces[id]);
+    }
+
+    function create(input = {}) {
+        const { id, name, description } = assertValid(WORKSPACE_SCHEMA, input, { message: 'Invalid workspace' });
+        if (workspaces[id]) {
+            throw new HttpError(409, `Workspace "${id}" already exists`);
+        }
+
+        const now = new Date().toISOString();
+        workspaces[id] = {
+            id,
+            name: name || id,
+            description: description || '',
+            created_at: now,
+            updated_at: now
+        };
+        store.save();
+        return workspaces[id];
+    }
+
+    function update(id, input = {}) {
+        const workspace = findOrThrow(id);
+        const fields = assertValid(WORKSPACE_UPDATE_SCHEMA, input, { message: 'Invalid workspace' });
+
+        if (fields.name !== undefined) workspace.name = fields.name;
+        if (fields.description !== undefined) workspace.description = fields.description;
+        workspace.updated_at = new Date().toISOString();
+        store.save();
+        return workspace;
+    }
+
+    // inUse(id) lists what still belongs to the workspace, e.g. ['2 devices']
+    function remove(id, inUse = () => []) {
+        findOrThrow(id);
+        if (id === DEFAULT_WORKSPACE) {
+            throw new HttpError(409, 'The default workspace cannot be deleted');
+        }
+        const owned = inUse(id);
+        if (owned.length > 0) {
+            throw new HttpError(409, `Workspace still has ${owned.join(', ')}; move or delete them first`);
+        }
+        delete workspaces[id];
+        store.save();
+    }
+
+    return { list, get, exists, create, update, remove };
+}
+
+// router.param handler for :device_id on management routes: devices of other
+// workspaces are reported as not found. Device-facing routes (no req.user) are
+// checked by device authentication instead.
+function scopeDeviceParam(devices) {
+    return function (req, res, next, deviceId) {
+        if (req.user && !devices.inWorkspace(deviceId, req.user.workspace)) {
+            return next(new HttpError(404, `Device "${deviceId}" not found`));
+        }
+        next();
+    };
+}
+
+// Middleware for routes that store settings keyed by :device_id (zone, calibration,
+// config, retention). Ids nobody registered would otherwise count as the default
+// workspace's, and their settings would carry over to whichever workspace
+// registers the id later, so the device must be registered in the caller's own.
+function requireRegisteredDevice(devices) {
+    return function (req, res, next) {
+        const deviceId = req.params.device_id;
+        if (!devices.get(deviceId, req.user.workspace)) {
+            return next(new HttpError(404, `Device "${deviceId}" is not registered`));
+        }
+        next();
+    };
+}
+
+module.exports = { createWorkspaceRegistry, scopeDeviceParam, requireRegisteredDevice, DEFAULT_WORKSPACE };
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { HttpError } = require('./errors');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+// Zone levels, outermost first; a zone's parent must be of the level above
+const ZONE_TYPES = ['building', 'floor', 'room'];
+
+// Locations as a building > floor > room hierarchy, and which zone each device
+// is in. Readings take their location from the device's zone at ingest, so a
+// device can be moved without reflashing it. Devices are assigned by device_id;
+// the routes only assign devices registered in the zone's workspace. Zones
+// belong to a workspace; functions taking a workspace treat zones of other
+// workspaces as missing (undefined = any).
+function createZoneRegistry({ file }) {
+    const store = createJsonStore(file, { zones: {}, assignments: {} });
+    const { zones, assignments } = store.data;
+
+    function inWorkspace(zone, workspace) {
+        return workspace === undefined || (zone.workspace || DEFAULT_WORKSPACE) === workspace;
+    }
+
+    function findOrThrow(id, workspace) {
+        if (!zones[id] || !inWorkspace(zones[id], workspace)) {
+            throw new HttpError(404, `Zone "${id}" not found`);
+        }
+        return zones[id];
+    }
+
+    function childrenOf(id) {
+        return Object.values(zones).filter(zone => zone.parent_id === id);
+    }
+
+    function devicesIn(id) {
+        return Object.keys(assignments).filter(deviceId => assignments[deviceId] === id).sort();
+    }
+
+    // Zones from the building down to this one
+    function ancestry(id) {
+        const chain = [];
+        for (let zone = zones[id]; zone; zone = zones[zone.parent_id]) chain.unshift(zone);
+        return chain;
+    }
+
+    // "HQ / Floor 2 / Lab 3"
+    function pathName(id) {
+        return ancestry(id).map(zone => zone.name).join(' / ');
+    }
+
+    // Ids of the zones from the building down to this one
+    function ancestors(id) {
+        return ancestry(id).map(zone => zone.id);
+    }
+
+    // The zone and every zone below it
+    function descendants(id) {
+        const ids = [id];
+        for (let i = 0; i < ids.length; i++) {
+            childrenOf(ids[i]).forEach(child => ids.push(child.id));
+        }
+        return ids;
+    }
+
+    function describe(zone) {
+        return {
+            ...zone,
+            workspace: zone.workspace || DEFAULT_WORKSPACE,
+            path: pathName(zone.id),
+            device_ids: devicesIn(zone.id)
+        };
+    }
+
+    function list(workspace) {
+        return Object.values(zones)
+            .filter(zone => inWorkspace(zone, workspace))
+            .map(describe)
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    // Nested view: buildings with their floors and rooms as children
+    function tree(workspace) {
+        const build = zone => ({ ...describe(zone), children: childrenOf(zone.id).map(build) });
+        return Object.values(zones).filter(zone => !zone.parent_id && inWorkspace(zone, workspace)).map(build);
+    }
+
+    function get(id, workspace) {
+        return describe(findOrThrow(id, workspace));
+    }
+
+    function validate(zone) {
+        if (!zone.name || typeof zone.name !== 'string') {
+            throw new HttpError(400, 'name is required');
+        }
+        const level = ZONE_TYPES.indexOf(zone.type);
+        if (level === -1) {
+            throw new HttpError(400, `type must be one of: ${ZONE_TYPES.join(', ')}`);
+        }
+
+        if (level === 0) {
+            if (zone.parent_id) throw new HttpError(400, 'A building cannot have a parent zone');
+        } else {
+            const parent = zone.parent_id && zones[zone.parent_id];
+            if (!parent || !inWorkspace(parent, zone.workspace) || parent.type !== ZONE_TYPES[level - 1]) {
+                throw new HttpError(400, `A ${zone.type} needs parent_id of a ${ZONE_TYPES[level - 1]}`);
+            }
+        }
+
+        const sibling = Object.values(zones).find(other => other.id !== zone.id && inWorkspace(other, zone.workspace) &&
+            (other.parent_id || null) === (zone.parent_id || null) && other.name === zone.name);
+        if (sibling) {
+            throw new HttpError(409, `"${pathName(sibling.id)}" already exists`);
+        }
+    }
+
+    function create({ name, type, parent_id, description } = {}, workspace = DEFAULT_WORKSPACE) {
+        const now = new Date().toISOString();
+        const zone = {
+            id: crypto.randomUUID(),
+            name,
+            type,
+            parent_id: parent_id || null,
+            description: description || '',
+            workspace,
+            created_at: now,
+            updated_at: now
+        };
+        validate(zone);
+
+        zones[zone.id] = zone;
+        store.save();
+        return describe(zone);
+    }
+
+    // Renaming or moving a zone; its type stays fixed once it has children
+    function update(id, { name, type, parent_id, description } = {}, workspace) {
+        const existing = findOrThrow(id, workspace);
+        const zone = { ...existing, workspace: existing.workspace || DEFAULT_WORKSPACE };
+
+        if (name !== undefined) zone.name = name;
+        if (type !== undefined) zone.type = type;
+        if (parent_id !== undefined) zone.parent_id = parent_id || null;
+        if (description !== undefined) zone.description = String(description);
+
+        if (zone.type !== existing.type && childrenOf(id).length > 0) {
+            throw new HttpError(409, 'Cannot change the type of a zone that has child zones');
+        }
+        validate(zone);
+
+        zone.updated_at = new Date().toISOString();
+        zones[id] = zone;
+        store.save();
+        return describe(zone);
+    }
+
+    function remove(id, workspace) {
+        findOrThrow(id, workspace);
+        if (childrenOf(id).length > 0) {
+            throw new HttpError(409, 'Zone has child zones; remove or move them first');
+        }
+        if (devicesIn(id).length > 0) {
+            throw new HttpError(409, 'Zone has devices assigned; move or unassign them first');
+        }
+        delete zones[id];
+        store.save();
+    }
+
+    function assign(id, deviceId, workspace) {
+        findOrThrow(id, workspace);
+        assignments[deviceId] = id;
+        store.save();
+        return get(id, workspace);
+    }
+
+    function unassign(id, deviceId, workspace) {
+        findOrThrow(id, workspace);
+        if (assignments[deviceId] !== id) {
+            throw new HttpError(404, `Device "${deviceId}" is not assigned to zone "${id}"`);
+        }
+        delete assignments[deviceId];
+        store.save();
+    }
+
+    // Where a device's readings belong: { zone_id, location } or undefined
+    function locate(deviceId) {
+        const id = assignments[deviceId];
+        if (!id || !zones[id]) return undefined;
+        return { zone_id: id, location: pathName(id) };
+    }
+
+    return {
+        list,
+        tree,
+        get,
+        create,
+        update,
+        remove,
+        assign,
+        unassign,
+        locate,
+        ancestors,
+        descendants
+    };
+}
+
+module.exports = { createZoneRegistry, ZONE_TYPES };
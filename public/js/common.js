@@ -0,0 +1,42 @@
+// Shared by the dashboard and device pages; loaded before the page script
+
+// Anything from the server (device ids, names, locations, zone paths, rule
+// names) goes through this before it is placed in innerHTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Run fn at most once per delay, however many events ask for it
+const pending = {};
+function debounce(name, fn, delay) {
+    if (pending[name]) return;
+    pending[name] = setTimeout(() => {
+        delete pending[name];
+        fn();
+    }, delay);
+}
+
+// A session that ends while the page is open (logout elsewhere, expiry)
+// sends the user back to the login page
+const apiFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+    const response = await apiFetch(...args);
+    if (response.status === 401) location.href = '/login';
+    return response;
+};
+
+// The service worker keeps the pages, assets and the last API responses so the
+// dashboard still opens, with the data it last saw, when the server is unreachable
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error));
+}
+
+function showConnectivity() {
+    document.getElementById('offline-banner').hidden = navigator.onLine;
+}
+
+window.addEventListener('online', showConnectivity);
+window.addEventListener('offline', showConnectivity);
+document.addEventListener('DOMContentLoaded', showConnectivity);
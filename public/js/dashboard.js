@@ -0,0 +1,729 @@
+let mainChart = null;
+let primaryGauge = null;
+let secondaryGauge = null;
+let chartRange = 50;       // last N raw readings, or { from, to } (ms; null = open) for bucket averages
+let chartBaseRange = 50;   // the range picked with the buttons or dates; Reset zoom returns to it
+let chartDevices = null;   // device ids plotted, null for every device
+let deviceNames = {};
+let hideFlagged = true;
+let temperatureUnit = localStorage.getItem('temperatureUnit') || 'C';
+let stream = null;
+let recentRecords = [];
+let metricSchema = {};
+let primaryMetric = 'temperature';
+let secondaryMetric = 'humidity';
+
+const STAT_CLASSES = { temperature: 'temp', humidity: 'humidity' };
+const METRIC_ICONS = { temperature: '🌡️', humidity: '💧' };
+const CHART_COLORS = [
+    { border: '#ff6b6b', background: 'rgba(255, 107, 107, 0.1)' },
+    { border: '#4ecdc4', background: 'rgba(78, 205, 196, 0.1)' }
+];
+// One color per device in the trends chart; the secondary metric is drawn dashed
+const DEVICE_COLORS = ['#667eea', '#ff6b6b', '#4ecdc4', '#f6ad55', '#9f7aea', '#48bb78', '#ed64a6', '#4299e1', '#a0aec0', '#ecc94b'];
+
+const DERIVED_LABELS = { dew_point: '🌫️ dew point', heat_index: '🥵 heat index' };
+
+// Temperatures are converted by the server (?unit=); these only label them
+// and place the gauge bounds, which the metric schema gives in °C
+const TEMPERATURE_UNITS = {
+    C: { label: '°C', convert: value => value },
+    F: { label: '°F', convert: value => value * 9 / 5 + 32 },
+    K: { label: 'K', convert: value => value + 273.15 }
+};
+
+function round(value) {
+    return value === undefined || value === null ? value : Number(value.toFixed(2));
+}
+
+// Readings flagged by the server's quality checks are left out of stats and charts
+function qualityParam() {
+    return hideFlagged ? '&quality=good' : '';
+}
+
+function isFlagged(record) {
+    return Boolean(record.quality && record.quality.status === 'suspect');
+}
+
+function setHideFlagged(value) {
+    hideFlagged = value;
+    loadStats();
+    loadChartData();
+}
+
+function unitParam() {
+    return `&unit=${temperatureUnit}`;
+}
+
+function isTemperature(name) {
+    return Boolean(metricSchema[name] && metricSchema[name].unit === '°C');
+}
+
+function setTemperatureUnit(value) {
+    temperatureUnit = value;
+    localStorage.setItem('temperatureUnit', value);
+
+    renderMetricOptions();
+    applyChartMetrics();
+    if (stream) stream.close();
+    connectStream();
+    loadAllData();
+}
+
+function iconOf(name) {
+    return METRIC_ICONS[name] || '📟';
+}
+
+function unitOf(name) {
+    if (isTemperature(name)) return TEMPERATURE_UNITS[temperatureUnit].label;
+    return metricSchema[name] ? metricSchema[name].unit : '';
+}
+
+function metricLabel(name) {
+    const unit = unitOf(name);
+    return unit ? `${name} (${unit})` : name;
+}
+
+function formatValue(name, value) {
+    if (value === undefined || value === null) return '-';
+    const unit = unitOf(name);
+    return unit.startsWith('°') || unit === '%' ? `${value}${unit}` : `${value} ${unit}`;
+}
+
+// When the reading was taken (epoch ms). Batches buffered while a device was
+// offline arrive late, so received_at is only used for old records whose
+// timestamp is not wall-clock time
+function readingTime(record) {
+    const time = typeof record.timestamp === 'number' ? record.timestamp : Date.parse(record.timestamp);
+    return time >= 1e12 ? time : Date.parse(record.received_at);
+}
+
+// Metrics present in a set of records, in schema order
+function metricsIn(records) {
+    const seen = new Set();
+    records.forEach(record => Object.keys(record.metrics || {}).forEach(name => seen.add(name)));
+    const known = Object.keys(metricSchema).filter(name => seen.has(name));
+    return known.concat([...seen].filter(name => !metricSchema[name]));
+}
+
+async function loadCurrentUser() {
+    const response = await fetch('/api/auth/me');
+    const { user } = await response.json();
+    document.getElementById('current-user').textContent = `👤 ${user.name} (${user.role}, ${user.workspace})`;
+    document.getElementById('logout').style.display = user.username === 'anonymous' ? 'none' : '';
+}
+
+async function logout() {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    location.href = '/login';
+}
+
+async function loadMetrics() {
+    const response = await fetch('/api/metrics');
+    const result = await response.json();
+    metricSchema = {};
+    result.metrics.forEach(metric => { metricSchema[metric.name] = metric; });
+    renderMetricOptions();
+}
+
+function renderMetricOptions() {
+    const options = Object.keys(metricSchema)
+        .map(name => `<option value="${escapeHtml(name)}">${iconOf(name)} ${escapeHtml(metricLabel(name))}</option>`)
+        .join('');
+    document.getElementById('primaryMetric').innerHTML = options;
+    document.getElementById('secondaryMetric').innerHTML = '<option value="">— none —</option>' + options;
+    document.getElementById('primaryMetric').value = primaryMetric;
+    document.getElementById('secondaryMetric').value = secondaryMetric;
+}
+
+function createGauge(canvasId, color) {
+    const ctx = document.getElementById(canvasId).getContext('2d');
+    return new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            datasets: [{
+                data: [0, 100],
+                backgroundColor: [color, '#f1f3f4'],
+                borderWidth: 0,
+                cutout: '70%'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false }
+            }
+        }
+    });
+}
+
+// Initialize charts
+function initCharts() {
+    // Main line chart: one dataset per device and selected metric on a time axis,
+    // primary metric on the left axis and secondary on the right
+    const mainCtx = document.getElementById('mainChart').getContext('2d');
+    mainChart = new Chart(mainCtx, {
+        type: 'line',
+        data: { datasets: [] },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', axis: 'x', intersect: false },
+            plugins: {
+                legend: {
+                    position: 'top',
+                },
+                zoom: {
+                    zoom: {
+                        wheel: { enabled: true },
+                        pinch: { enabled: true },
+                        mode: 'x',
+                        onZoomComplete: ({ chart }) => zoomedTo(chart)
+                    },
+                    pan: {
+                        enabled: true,
+                        mode: 'x',
+                        onPanComplete: ({ chart }) => zoomedTo(chart)
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    display: true,
+                    time: { tooltipFormat: 'PPpp' },
+                    title: {
+                        display: true,
+                        text: 'Time'
+                    }
+                },
+                y: {
+                    type: 'linear',
+                    display: true,
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: ''
+                    }
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: ''
+                    },
+                    grid: {
+                        drawOnChartArea: false,
+                    }
+                }
+            },
+            animation: {
+                duration: 1000
+            }
+        }
+    });
+
+    primaryGauge = createGauge('primaryGauge', CHART_COLORS[0].border);
+    secondaryGauge = createGauge('secondaryGauge', CHART_COLORS[1].border);
+    applyChartMetrics();
+}
+
+// Point chart axes and gauge titles at the selected metrics
+function applyChartMetrics() {
+    mainChart.options.scales.y.title.text = metricLabel(primaryMetric);
+    mainChart.options.scales.y1.title.text = secondaryMetric ? metricLabel(secondaryMetric) : '';
+    mainChart.options.scales.y1.display = Boolean(secondaryMetric);
+
+    document.getElementById('primaryGaugeTitle').textContent = `${iconOf(primaryMetric)} ${primaryMetric} Gauge`;
+    document.getElementById('secondaryGaugeTitle').textContent = secondaryMetric
+        ? `${iconOf(secondaryMetric)} ${secondaryMetric} Gauge`
+        : 'No metric selected';
+}
+
+function updateGauge(gauge, name, value) {
+    if (!gauge) return;
+
+    const schema = metricSchema[name] || {};
+    const bound = value => isTemperature(name) ? TEMPERATURE_UNITS[temperatureUnit].convert(value) : value;
+    const min = bound(schema.min ?? 0);
+    const max = bound(schema.max ?? 100);
+    const filled = value === undefined ? 0 : Math.min(Math.max(value - min, 0), max - min);
+
+    gauge.data.datasets[0].data = [filled, max - min - filled];
+    gauge.update();
+}
+
+function renderCurrentValues(latest) {
+    const values = Object.entries(latest.metrics).map(([name, value]) => `
+        <div class="realtime-value">
+            <div class="value">${escapeHtml(formatValue(name, value))}</div>
+            <div class="label">${escapeHtml(name)}</div>
+        </div>
+    `).join('');
+
+    document.getElementById('current-values').innerHTML = `
+        <div class="realtime-values">${values}</div>
+        <div style="text-align: center; margin-top: 15px; color: #6c757d; font-size: 0.9rem;">
+            ${escapeHtml(latest.device_id)} · Last updated: ${new Date(latest.received_at).toLocaleString()}
+        </div>
+    `;
+
+    // Update gauges
+    updateGauge(primaryGauge, primaryMetric, latest.metrics[primaryMetric]);
+    updateGauge(secondaryGauge, secondaryMetric, latest.metrics[secondaryMetric]);
+}
+
+async function loadStats() {
+    try {
+        // Stats cover the last 24 hours; the server refuses to scan all history on every refresh
+        const response = await fetch(`/api/stats?window=day${qualityParam()}${unitParam()}`);
+        const result = await response.json();
+        const stats = result.stats;
+
+        if (!stats || !stats.total_records || !stats.metrics) {
+            document.getElementById('stats').innerHTML =
+                '<p style="text-align: center; color: #6c757d;">No data in the last 24 hours</p>';
+            document.getElementById('current-values').innerHTML =
+                '<p style="text-align: center; color: #6c757d;">Waiting for first reading...</p>';
+            return;
+        }
+
+        const metricCards = Object.entries(stats.metrics).map(([name, metric]) => {
+            const show = value => escapeHtml(formatValue(name, value));
+            return `
+                <div class="stat-card ${STAT_CLASSES[name] || ''}">
+                    <h3>${iconOf(name)} ${escapeHtml(name)}</h3>
+                    <div class="stat-number">${show(round(metric.avg))}</div>
+                    <div class="stat-detail">Min: ${show(metric.min)} | Max: ${show(metric.max)}</div>
+                    <div class="stat-detail">Median: ${show(round(metric.median))} | p95: ${show(round(metric.p95))} | σ ${round(metric.stddev)}</div>
+                </div>
+            `;
+        }).join('');
+
+        const derivedCards = Object.entries(stats.derived || {}).map(([name, metric]) => `
+            <div class="stat-card">
+                <h3>${DERIVED_LABELS[name] || escapeHtml(name)}</h3>
+                <div class="stat-number">${round(metric.avg)}${escapeHtml(metric.unit)}</div>
+                <div class="stat-detail">Min: ${round(metric.min)}${escapeHtml(metric.unit)} | Max: ${round(metric.max)}${escapeHtml(metric.unit)}</div>
+            </div>
+        `).join('');
+
+        // Update statistics
+        document.getElementById('stats').innerHTML = `
+            <div class="stats-grid">
+                <div class="stat-card records">
+                    <h3>📈 Records (24h)</h3>
+                    <div class="stat-number">${stats.total_records}</div>
+                </div>
+                ${metricCards}
+                ${derivedCards}
+                <div class="stat-card devices">
+                    <h3>📱 Active Devices</h3>
+                    <div class="stat-number">${stats.devices.length}</div>
+                    <div class="stat-detail">${stats.devices.map(deviceId => deviceLink(deviceId)).join(', ')}</div>
+                </div>
+            </div>
+        `;
+
+        // Update current values
+        if (stats.latest_reading) {
+            renderCurrentValues(stats.latest_reading);
+        }
+    } catch (error) {
+        console.error('Error loading stats:', error);
+        document.getElementById('stats').innerHTML = '<p style="text-align: center; color: #dc3545;">Error loading statistics</p>';
+    }
+}
+
+// Presets for the date-range picker
+const TIME_RANGES = { '24h': 24 * 3600 * 1000, '7d': 7 * 24 * 3600 * 1000, '30d': 30 * 24 * 3600 * 1000 };
+
+function chartDeviceParam() {
+    return chartDevices ? `&device_id=${encodeURIComponent(chartDevices.join(','))}` : '';
+}
+
+// Points per device: { device_id: [{ x, values }] }. Numeric ranges plot the last
+// N raw readings; date ranges plot server-side bucket averages per device so the
+// point count stays bounded whatever the range
+async function fetchChartSeries() {
+    const series = {};
+
+    if (typeof chartRange === 'number') {
+        const response = await fetch(`/api/data?limit=${chartRange}${qualityParam()}${unitParam()}${chartDeviceParam()}`);
+        const result = await response.json();
+
+        result.data.reverse().forEach(record => { // Reverse to show chronological order
+            (series[record.device_id] = series[record.device_id] || []).push({
+                x: readingTime(record),
+                values: record.metrics
+            });
+        });
+        return series;
+    }
+
+    const params = new URLSearchParams({ interval: 'auto', group_by: 'device', order: 'asc', unit: temperatureUnit });
+    if (hideFlagged) params.set('quality', 'good');
+    if (chartRange.from) params.set('from', new Date(chartRange.from).toISOString());
+    if (chartRange.to) params.set('to', new Date(chartRange.to).toISOString());
+    if (chartDevices) params.set('device_id', chartDevices.join(','));
+    const response = await fetch(`/api/data?${params}`);
+    const result = await response.json();
+
+    (result.series || []).forEach(({ device_id, buckets }) => {
+        series[device_id] = buckets.map(bucket => {
+            const values = {};
+            Object.entries(bucket.metrics).forEach(([name, metric]) => {
+                values[name] = Number(metric.avg.toFixed(2));
+            });
+            // Plot each average at the middle of its bucket
+            return { x: (Date.parse(bucket.start) + Date.parse(bucket.end)) / 2, values };
+        });
+    });
+    return series;
+}
+
+function chartDataset(deviceId, name, axis, color, points) {
+    return {
+        label: `${deviceNames[deviceId] || deviceId} · ${metricLabel(name)}`,
+        device_id: deviceId,
+        metric: name,
+        data: points.map(point => ({ x: point.x, y: point.values[name] ?? null })),
+        borderColor: color,
+        backgroundColor: color,
+        borderDash: axis === 'y1' ? [6, 4] : [],
+        fill: false,
+        tension: 0.3,
+        pointRadius: points.length > 100 ? 0 : 3,
+        pointHoverRadius: 5,
+        spanGaps: true,
+        yAxisID: axis
+    };
+}
+
+async function loadChartData() {
+    try {
+        const series = await fetchChartSeries();
+        if (!mainChart) return;
+
+        const datasets = [];
+        Object.keys(series).sort().forEach((deviceId, index) => {
+            const color = DEVICE_COLORS[index % DEVICE_COLORS.length];
+            datasets.push(chartDataset(deviceId, primaryMetric, 'y', color, series[deviceId]));
+            if (secondaryMetric) {
+                datasets.push(chartDataset(deviceId, secondaryMetric, 'y1', color, series[deviceId]));
+            }
+        });
+        mainChart.data.datasets = datasets;
+        mainChart.update();
+    } catch (error) {
+        console.error('Error loading chart data:', error);
+    }
+}
+
+function renderDataTable() {
+    if (recentRecords.length === 0) {
+        document.getElementById('data-table').innerHTML = '<p style="text-align: center; color: #6c757d;">No data available</p>';
+        return;
+    }
+
+    const columns = metricsIn(recentRecords);
+    let table = '<table><thead><tr><th>Time</th><th>Device</th>' +
+        columns.map(name => `<th>${escapeHtml(name)}</th>`).join('') +
+        '<th>Location</th></tr></thead><tbody>';
+
+    recentRecords.forEach(record => {
+        const time = new Date(record.received_at).toLocaleString();
+        const flags = isFlagged(record)
+            ? ` <span title="${escapeHtml(record.quality.flags.map(flag => flag.message).join('\n'))}">⚠️</span>`
+            : '';
+        table += `<tr class="${isFlagged(record) ? 'flagged' : ''}">
+            <td>${time}${flags}</td>
+            <td>${deviceLink(record.device_id)}</td>
+            ${columns.map(name => `<td><strong>${escapeHtml(formatValue(name, record.metrics[name]))}</strong></td>`).join('')}
+            <td>${escapeHtml(record.location || 'N/A')}</td>
+        </tr>`;
+    });
+
+    table += '</tbody></table>';
+    document.getElementById('data-table').innerHTML = table;
+}
+
+async function loadDataTable() {
+    try {
+        const response = await fetch(`/api/data?limit=20${unitParam()}`);
+        const result = await response.json();
+
+        recentRecords = result.data;
+        renderDataTable();
+    } catch (error) {
+        console.error('Error loading data table:', error);
+        document.getElementById('data-table').innerHTML = '<p style="text-align: center; color: #dc3545;">Error loading data</p>';
+    }
+}
+
+const STATUS_LABELS = { online: 'Online', stale: 'Stale', offline: 'Offline' };
+
+// Link to the device detail page
+function deviceLink(deviceId, label = deviceId) {
+    return `<a class="device-link" href="/devices/${encodeURIComponent(deviceId)}">${escapeHtml(label)}</a>`;
+}
+
+// Devices grouped under their zone path, in zone order; unassigned devices
+// come last (with no heading when no zones are set up at all)
+function groupByZone(devices, zones) {
+    const zoneOf = {};
+    zones.forEach(zone => zone.device_ids.forEach(id => { zoneOf[id] = zone; }));
+
+    const groups = zones
+        .map(zone => ({ path: zone.path, devices: devices.filter(device => zoneOf[device.device_id] === zone) }))
+        .filter(group => group.devices.length > 0);
+    const unassigned = devices.filter(device => !zoneOf[device.device_id]);
+    if (unassigned.length > 0) {
+        groups.push({ path: zones.length > 0 ? 'Unassigned' : null, devices: unassigned });
+    }
+    return groups;
+}
+
+async function loadDeviceStatus() {
+    try {
+        const [statusResponse, zonesResponse] = await Promise.all([fetch('/api/status'), fetch('/api/zones')]);
+        const { summary, devices } = await statusResponse.json();
+        const { zones } = await zonesResponse.json();
+        renderChartDevices(devices);
+        const dot = document.getElementById('status-dot');
+        const text = document.getElementById('status-text');
+
+        dot.className = 'status-dot';
+        if (devices.length === 0) {
+            dot.classList.add('offline');
+            text.textContent = 'No devices reporting';
+        } else if (summary.online === devices.length) {
+            text.textContent = `Live Monitoring Active · ${devices.length} device(s) online`;
+        } else {
+            dot.classList.add(summary.online === 0 ? 'offline' : 'stale');
+            text.textContent = `${summary.online} online · ${summary.stale} stale · ${summary.offline} offline`;
+        }
+
+        const renderDevice = device => `
+            <div class="device-item">
+                <div class="status-dot small ${escapeHtml(device.status)}"></div>
+                <strong>${deviceLink(device.device_id, device.name)}</strong>
+                <span class="stat-detail">
+                    ${STATUS_LABELS[device.status]} · last seen ${device.last_seen ? new Date(device.last_seen).toLocaleString() : 'never'}
+                </span>
+            </div>
+        `;
+
+        document.getElementById('device-list').innerHTML = devices.length === 0
+            ? '<p style="text-align: center; color: #6c757d;">No devices yet</p>'
+            : groupByZone(devices, zones).map(group => (group.path ? `<div class="zone-header">🏢 ${escapeHtml(group.path)}</div>` : '') +
+                group.devices.map(renderDevice).join('')).join('');
+    } catch (error) {
+        console.error('Error loading device status:', error);
+        document.getElementById('status-text').textContent = 'Server unreachable';
+        document.getElementById('status-dot').className = 'status-dot offline';
+    }
+}
+
+async function loadAlerts() {
+    try {
+        const response = await fetch('/api/alerts/active');
+        const result = await response.json();
+
+        if (result.alerts.length === 0) {
+            document.getElementById('alerts').innerHTML = '<p style="text-align: center; color: #28a745;">✅ No active alerts</p>';
+            return;
+        }
+
+        document.getElementById('alerts').innerHTML = result.alerts.map(alert => `
+            <div class="alert-item">
+                <strong>${escapeHtml(alert.rule_name)}</strong> — ${deviceLink(alert.device_id)}
+                <div class="stat-detail">Since ${new Date(alert.since).toLocaleString()}</div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+        document.getElementById('alerts').innerHTML = '<p style="text-align: center; color: #dc3545;">Error loading alerts</p>';
+    }
+}
+
+// Last N readings (number) or a preset ('24h', '7d', '30d', 'all') for the date range
+function setChartRange(range) {
+    if (typeof range === 'number') {
+        chartBaseRange = range;
+    } else {
+        chartBaseRange = { from: TIME_RANGES[range] ? Date.now() - TIME_RANGES[range] : null, to: null };
+    }
+
+    // Update button states
+    document.querySelectorAll('.chart-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    event.target.classList.add('active');
+
+    showChartRange(chartBaseRange);
+}
+
+function applyDateRange() {
+    const from = document.getElementById('chartFrom').value;
+    const to = document.getElementById('chartTo').value;
+    if (from && to && from > to) {
+        alert('The start of the range must be before its end');
+        return;
+    }
+
+    document.querySelectorAll('.chart-btn').forEach(btn => btn.classList.remove('active'));
+    chartBaseRange = { from: from ? Date.parse(from) : null, to: to ? Date.parse(to) : null };
+    showChartRange(chartBaseRange);
+}
+
+// datetime-local inputs take local time without a zone
+function toDateInput(time) {
+    if (!time) return '';
+    const date = new Date(time);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function showChartRange(range) {
+    chartRange = range;
+    document.getElementById('chartFrom').value = typeof range === 'number' ? '' : toDateInput(range.from);
+    document.getElementById('chartTo').value = typeof range === 'number' ? '' : toDateInput(range.to);
+    if (mainChart) mainChart.resetZoom('none');
+    loadChartData();
+}
+
+// After zooming or panning a date range, fetch buckets for the visible window
+// so the server re-aggregates it at a finer interval
+function zoomedTo(chart) {
+    if (typeof chartRange === 'number') return;
+
+    const { min, max } = chart.scales.x;
+    chartRange = { from: Math.round(min), to: Math.round(max) };
+    document.getElementById('chartFrom').value = toDateInput(chartRange.from);
+    document.getElementById('chartTo').value = toDateInput(chartRange.to);
+    debounce('zoom', loadChartData, 300);
+}
+
+function resetChartZoom() {
+    showChartRange(chartBaseRange);
+}
+
+// Device checkboxes above the trends chart
+function renderChartDevices(devices) {
+    deviceNames = {};
+    devices.forEach(device => { deviceNames[device.device_id] = device.name; });
+
+    document.getElementById('chartDevices').innerHTML = devices.map(device => `
+        <label class="chart-toggle">
+            <input type="checkbox" value="${escapeHtml(device.device_id)}" onchange="setChartDevices()"
+                ${!chartDevices || chartDevices.includes(device.device_id) ? 'checked' : ''}> ${escapeHtml(device.name)}
+        </label>
+    `).join('');
+}
+
+function setChartDevices() {
+    const boxes = [...document.querySelectorAll('#chartDevices input')];
+    const checked = boxes.filter(box => box.checked).map(box => box.value);
+    chartDevices = checked.length === boxes.length ? null : checked;
+    loadChartData();
+}
+
+function setChartMetrics() {
+    primaryMetric = document.getElementById('primaryMetric').value;
+    secondaryMetric = document.getElementById('secondaryMetric').value;
+
+    applyChartMetrics();
+    loadChartData();
+    loadStats();
+}
+
+// The server streams the full history, so nothing is buffered in the browser
+function exportData() {
+    window.location.href = '/api/export?format=csv';
+}
+
+function loadAllData() {
+    loadStats();
+    loadChartData();
+    loadDataTable();
+    loadAlerts();
+    loadDeviceStatus();
+}
+
+// Append a pushed reading to the raw-readings chart, keeping the window size
+function appendChartPoint(record) {
+    if (!mainChart || typeof chartRange !== 'number') return;
+    if (hideFlagged && isFlagged(record)) return;
+    if (chartDevices && !chartDevices.includes(record.device_id)) return;
+
+    const datasets = mainChart.data.datasets.filter(dataset => dataset.device_id === record.device_id);
+    if (datasets.length === 0) {
+        // First reading from this device in the window: rebuild the datasets
+        debounce('chart', loadChartData, 1000);
+        return;
+    }
+
+    // A buffered reading may be older than the last point; keep the points in time order
+    const x = readingTime(record);
+    datasets.forEach(dataset => {
+        const index = dataset.data.findIndex(point => point.x > x);
+        const point = { x, y: record.metrics[dataset.metric] ?? null };
+        if (index === -1) dataset.data.push(point);
+        else dataset.data.splice(index, 0, point);
+    });
+
+    // Drop the oldest points until the chart holds chartRange readings again
+    let total = mainChart.data.datasets.filter(dataset => dataset.yAxisID === 'y')
+        .reduce((sum, dataset) => sum + dataset.data.length, 0);
+    while (total > chartRange) {
+        const oldest = Math.min(...mainChart.data.datasets.filter(dataset => dataset.data.length > 0).map(dataset => dataset.data[0].x));
+        mainChart.data.datasets.forEach(dataset => {
+            if (dataset.data.length > 0 && dataset.data[0].x === oldest) dataset.data.shift();
+        });
+        total--;
+    }
+    mainChart.update();
+}
+
+// Server-Sent Events: each accepted reading, alert and device status change
+// is pushed as it happens; aggregate views are refreshed at a slower pace
+function connectStream() {
+    stream = new EventSource(`/api/stream?unit=${temperatureUnit}`);
+
+    stream.addEventListener('reading', event => {
+        const record = JSON.parse(event.data);
+
+        renderCurrentValues(record);
+        appendChartPoint(record);
+        recentRecords = [record].concat(recentRecords).slice(0, 20);
+        renderDataTable();
+        debounce('stats', loadStats, 5000);
+        debounce('status', loadDeviceStatus, 2000);
+    });
+
+    stream.addEventListener('alert', () => debounce('alerts', loadAlerts, 500));
+    stream.addEventListener('device-status', () => debounce('status', loadDeviceStatus, 500));
+
+    // Catch up on anything missed while the connection was down
+    let disconnected = false;
+    stream.addEventListener('error', () => {
+        disconnected = true;
+    });
+    stream.addEventListener('open', () => {
+        if (disconnected) loadAllData();
+        disconnected = false;
+    });
+}
+
+// Initialize everything
+document.addEventListener('DOMContentLoaded', async function() {
+    document.getElementById('temperatureUnit').value = temperatureUnit;
+    await loadCurrentUser();
+    await loadMetrics();
+    initCharts();
+    loadAllData();
+    connectStream();
+});
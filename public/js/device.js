@@ -0,0 +1,257 @@
+const deviceId = decodeURIComponent(location.pathname.split('/').pop());
+const deviceUrl = encodeURIComponent(deviceId);
+const temperatureUnit = localStorage.getItem('temperatureUnit') || 'C';
+const RANGES = { '1h': 3600 * 1000, '24h': 24 * 3600 * 1000, '7d': 7 * 24 * 3600 * 1000, '30d': 30 * 24 * 3600 * 1000 };
+const CHART_COLORS = ['#667eea', '#f56565', '#48bb78', '#ed8936', '#9f7aea', '#38b2ac', '#ecc94b'];
+const STATUS_LABELS = { online: 'Online', stale: 'Stale', offline: 'Offline' };
+let range = '24h';
+let charts = [];
+let metricSchema = {};
+
+function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : 'never';
+}
+
+function unitOf(name) {
+    if (metricSchema[name] && metricSchema[name].unit === '°C') {
+        return { C: '°C', F: '°F', K: 'K' }[temperatureUnit];
+    }
+    return metricSchema[name] ? metricSchema[name].unit : '';
+}
+
+// GET a JSON API; { status, body } so callers can show 403/404 in place
+async function getJson(url) {
+    const response = await fetch(url);
+    return { status: response.status, body: await response.json() };
+}
+
+function definitionList(entries) {
+    return '<dl>' + entries.map(([label, value]) =>
+        `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('') + '</dl>';
+}
+
+function showUnavailable(id, status, body, notFound) {
+    const message = status === 403 ? 'Requires the operator role'
+        : status === 404 ? notFound
+        : body.message || 'Error loading';
+    document.getElementById(id).innerHTML = `<p class="muted">${escapeHtml(message)}</p>`;
+}
+
+async function loadStatus() {
+    const { status, body } = await getJson(`/api/status/${deviceUrl}`);
+    if (status !== 200) {
+        document.getElementById('device-name').textContent = `📱 ${deviceId}`;
+        document.getElementById('status-text').textContent = body.message || 'Unknown device';
+        return;
+    }
+    const device = body.device;
+    document.title = `${device.name} - ESP32 Device`;
+    document.getElementById('device-name').textContent = `📱 ${device.name}`;
+    document.getElementById('status-dot').className = `status-dot ${device.status}`;
+    document.getElementById('status-text').textContent =
+        `${STATUS_LABELS[device.status]} · last seen ${formatTime(device.last_seen)} · ${device.device_id}`;
+
+    document.getElementById('info').innerHTML = definitionList([
+        ['Device ID', device.device_id],
+        ['Status', STATUS_LABELS[device.status]],
+        ['Last seen', formatTime(device.last_seen)],
+        ['Status since', formatTime(device.changed_at)],
+        ['Report interval', `${device.expected_interval} s`],
+        ['Workspace', device.workspace_id]
+    ]);
+}
+
+// One chart per metric the device reported in the range, from bucket averages
+async function loadCharts() {
+    const params = new URLSearchParams({
+        interval: 'auto',
+        order: 'asc',
+        unit: temperatureUnit,
+        from: new Date(Date.now() - RANGES[range]).toISOString()
+    });
+    const { body } = await getJson(`/api/data/${deviceUrl}?${params}`);
+    charts.forEach(chart => chart.destroy());
+    charts = [];
+
+    const buckets = body.buckets || [];
+    const names = [...new Set(buckets.flatMap(bucket => Object.keys(bucket.metrics)))];
+    const container = document.getElementById('charts');
+    if (names.length === 0) {
+        container.innerHTML = '<p class="muted">No readings in this range</p>';
+        return;
+    }
+
+    container.innerHTML = names.map((name, index) => `
+        <div class="chart-box">
+            <h3>${escapeHtml(name)}${unitOf(name) ? ` (${escapeHtml(unitOf(name))})` : ''}</h3>
+            <div class="canvas-wrap"><canvas id="chart-${index}"></canvas></div>
+        </div>
+    `).join('');
+
+    const labels = buckets.map(bucket => new Date(bucket.start).toLocaleString());
+    names.forEach((name, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        const series = key => buckets.map(bucket => bucket.metrics[name] ? Number(bucket.metrics[name][key].toFixed(2)) : null);
+        charts.push(new Chart(document.getElementById(`chart-${index}`), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    { label: 'avg', data: series('avg'), borderColor: color, backgroundColor: color + '33', tension: 0.3, pointRadius: 0, spanGaps: true },
+                    { label: 'min', data: series('min'), borderColor: color + '66', borderDash: [4, 4], pointRadius: 0, fill: false, spanGaps: true },
+                    { label: 'max', data: series('max'), borderColor: color + '66', borderDash: [4, 4], pointRadius: 0, fill: '-1', backgroundColor: color + '1a', spanGaps: true }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: { legend: { display: false } },
+                scales: { x: { ticks: { maxTicksLimit: 8 } } }
+            }
+        }));
+    });
+}
+
+async function loadFirmware() {
+    const { status, body } = await getJson('/api/firmware/rollout');
+    if (status !== 200) return showUnavailable('firmware', status, body);
+
+    const entry = body.devices.find(device => device.device_id === deviceId);
+    if (!entry) {
+        document.getElementById('firmware').innerHTML = '<p class="muted">No firmware reported or targeted</p>';
+        return;
+    }
+    document.getElementById('firmware').innerHTML = definitionList([
+        ['Running', entry.reported_version || 'unknown'],
+        ['Reported', formatTime(entry.reported_at)],
+        ['Target', entry.target_version ? `${entry.target_version} (${entry.target_source})` : 'none'],
+        ['Update status', entry.status || '-'],
+        ['Attempts', entry.attempts],
+        ...(entry.last_error ? [['Last error', entry.last_error]] : [])
+    ]);
+}
+
+async function loadConfig() {
+    const { status, body } = await getJson(`/api/config/${deviceUrl}`);
+    if (status !== 200) return showUnavailable('config', status, body, 'No configuration set');
+
+    const config = body.config;
+    const pending = config.commands.filter(command => command.status === 'pending');
+    document.getElementById('config').innerHTML = definitionList([
+        ['Version', `${config.version} (applied: ${config.applied_version ?? 'none'})`],
+        ['In sync', config.in_sync ? 'yes' : 'no'],
+        ['Updated', formatTime(config.updated_at)],
+        ['Pending commands', pending.map(command => command.name).join(', ') || 'none']
+    ]) + `<pre class="muted" style="margin-top: 10px; white-space: pre-wrap;">${escapeHtml(JSON.stringify(config.desired, null, 2))}</pre>`;
+}
+
+async function loadCalibration() {
+    const { status, body } = await getJson(`/api/calibration/${deviceUrl}`);
+    if (status !== 200) return showUnavailable('calibration', status, body, 'Not calibrated');
+
+    const describe = correction => correction.type === 'offset' ? `offset ${correction.offset}`
+        : correction.type === 'linear' ? `× ${correction.scale} + ${correction.offset}`
+        : `curve through ${correction.points.length} points`;
+    const profile = body.profile;
+    document.getElementById('calibration').innerHTML = definitionList([
+        ...Object.entries(profile.metrics).map(([name, correction]) => [name, describe(correction)]),
+        ['Updated', formatTime(profile.updated_at)],
+        ...(profile.notes ? [['Notes', profile.notes]] : [])
+    ]);
+}
+
+async function loadAlerts() {
+    const { status, body } = await getJson(`/api/alerts?device_id=${deviceUrl}&limit=20`);
+    if (status !== 200) return showUnavailable('alerts', status, body);
+
+    if (body.alerts.length === 0) {
+        document.getElementById('alerts').innerHTML = '<p class="muted">✅ No alerts for this device</p>';
+        return;
+    }
+    document.getElementById('alerts').innerHTML = '<table><thead><tr><th>Time</th><th>Alert</th><th>State</th><th>Value</th></tr></thead><tbody>' +
+        body.alerts.map(alert => `
+            <tr>
+                <td>${escapeHtml(formatTime(alert.at))}</td>
+                <td>${escapeHtml(alert.rule_name)}</td>
+                <td class="state-${escapeHtml(alert.state)}">${escapeHtml(alert.state)}</td>
+                <td>${alert.value === null ? '-' : escapeHtml(Number(alert.value).toFixed(2))}</td>
+            </tr>
+        `).join('') + '</tbody></table>';
+}
+
+// Name, description, report interval and free-form metadata (JSON) of a registered device
+async function loadEditor() {
+    const { status, body } = await getJson(`/api/devices/${deviceUrl}`);
+    if (status !== 200) return showUnavailable('editor', status, body, 'Device is not registered');
+
+    const device = body.device;
+    document.getElementById('editor').innerHTML = `
+        <form id="device-form">
+            <label for="name">Name</label>
+            <input id="name" maxlength="100" value="${escapeHtml(device.name)}">
+            <label for="description">Description</label>
+            <input id="description" maxlength="500" value="${escapeHtml(device.description)}">
+            <label for="expected_interval">Report interval (seconds, empty for the server default)</label>
+            <input id="expected_interval" type="number" min="1" value="${escapeHtml(device.expected_interval ?? '')}">
+            <label for="metadata">Metadata (JSON object)</label>
+            <textarea id="metadata">${escapeHtml(JSON.stringify(device.metadata || {}, null, 2))}</textarea>
+            <button type="submit">Save</button><span id="save-result"></span>
+        </form>
+    `;
+    document.getElementById('device-form').addEventListener('submit', saveDevice);
+}
+
+async function saveDevice(event) {
+    event.preventDefault();
+    const result = document.getElementById('save-result');
+    let metadata;
+    try {
+        metadata = JSON.parse(document.getElementById('metadata').value || '{}');
+    } catch (error) {
+        result.className = 'error';
+        result.textContent = 'Metadata is not valid JSON';
+        return;
+    }
+
+    const interval = document.getElementById('expected_interval').value;
+    const response = await fetch(`/api/devices/${deviceUrl}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            name: document.getElementById('name').value,
+            description: document.getElementById('description').value,
+            expected_interval: interval === '' ? null : Number(interval),
+            metadata
+        })
+    });
+    const body = await response.json();
+    result.className = response.ok ? 'muted' : 'error';
+    result.textContent = response.ok ? '✅ Saved'
+        : (body.errors || []).map(error => error.message).join('; ') || body.message;
+    if (response.ok) loadStatus();
+}
+
+document.querySelectorAll('.chart-btn').forEach(button => button.addEventListener('click', () => {
+    document.querySelectorAll('.chart-btn').forEach(other => other.classList.toggle('active', other === button));
+    range = button.dataset.range;
+    loadCharts();
+}));
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const { body } = await getJson('/api/metrics');
+    (body.metrics || []).forEach(metric => { metricSchema[metric.name] = metric; });
+
+    await Promise.all([loadStatus(), loadCharts(), loadFirmware(), loadConfig(), loadCalibration(), loadAlerts(), loadEditor()]
+        .map(promise => promise.catch(error => console.error('Error loading device page:', error))));
+});
+
+// Readings and status changes for this device refresh the page's live parts;
+// the charts are rebuilt from bucket averages, so at most every 15 seconds
+const stream = new EventSource(`/api/stream?device_id=${deviceUrl}&events=reading,device-status,alert`);
+stream.addEventListener('reading', () => {
+    debounce('charts', loadCharts, 15000);
+    debounce('status', loadStatus, 2000);
+});
+stream.addEventListener('device-status', () => loadStatus());
+stream.addEventListener('alert', () => loadAlerts());
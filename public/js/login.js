@@ -0,0 +1,17 @@
+document.getElementById('login').addEventListener('submit', async event => {
+    event.preventDefault();
+    const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            username: document.getElementById('username').value,
+            password: document.getElementById('password').value
+        })
+    });
+    if (response.ok) {
+        location.href = '/';
+        return;
+    }
+    const result = await response.json().catch(() => ({}));
+    document.getElementById('error').textContent = result.message || 'Login failed';
+});
@@ -0,0 +1,100 @@
+// Service worker: the dashboard keeps working on a network without the server.
+//   - Pages and static assets: network first, cached copy when offline
+//   - GET /api/*: network first; the last response for each query is kept and
+//     served when offline (from/to are left out of the cache key, so a chart's
+//     moving time window still finds the data it last showed)
+//   - The live stream, exports and anything but GET always go to the network
+// Logging in or out drops the cached API responses.
+
+const VERSION = 'v1';
+const ASSET_CACHE = `esp32-assets-${VERSION}`;
+const DATA_CACHE = `esp32-data-${VERSION}`;
+
+const ASSETS = [
+    '/login',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-maskable.svg',
+    '/css/dashboard.css',
+    '/css/device.css',
+    '/css/login.css',
+    '/js/common.js',
+    '/js/dashboard.js',
+    '/js/device.js',
+    '/js/login.js',
+    '/vendor/chart.js',
+    '/vendor/chartjs-adapter-date-fns.js',
+    '/vendor/hammer.js',
+    '/vendor/chartjs-plugin-zoom.js'
+];
+
+const UNCACHED_API = ['/api/stream', '/api/export'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(ASSET_CACHE).then(cache => cache.addAll(ASSETS)).then(() => self.skipWaiting()));
+});
+
+// Drop caches of older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== ASSET_CACHE && key !== DATA_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+function dataCacheKey(url) {
+    const key = new URL(url);
+    key.searchParams.delete('from');
+    key.searchParams.delete('to');
+    key.searchParams.sort();
+    return key.toString();
+}
+
+// Only complete same-origin responses are kept: not redirects to /login, not errors
+function cacheable(response) {
+    return response.ok && response.type === 'basic' && !response.redirected;
+}
+
+async function networkFirst(request, cacheName, key) {
+    try {
+        const response = await fetch(request);
+        if (cacheable(response)) {
+            const cache = await caches.open(cacheName);
+            await cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(key, { cacheName });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+function offlineResponse() {
+    return new Response(JSON.stringify({
+        success: false,
+        code: 'offline',
+        message: 'Server unreachable and no cached data for this request'
+    }), { status: 503, headers: { 'Content-Type': 'application/json' } });
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname === '/api/auth/login' || url.pathname === '/api/auth/logout') {
+        event.waitUntil(caches.delete(DATA_CACHE));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (url.pathname.startsWith('/api/')) {
+        if (UNCACHED_API.some(prefix => url.pathname.startsWith(prefix))) return;
+        event.respondWith(networkFirst(request, DATA_CACHE, dataCacheKey(request.url)).catch(offlineResponse));
+        return;
+    }
+
+    event.respondWith(networkFirst(request, ASSET_CACHE, request.url));
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+
+// Routes: /api/alerts - alert history, active alerts and alert rules
+function createAlertsRouter(alerts, requireAdmin) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const { device_id, rule_id, state } = req.query;
+        const history = alerts.listHistory({
+            workspace_id: req.user.workspace,
+            device_id,
+            rule_id,
+            state,
+            limit: parseInt(req.query.limit) || 100
+        });
+
+        res.json({
+            success: true,
+            count: history.length,
+            alerts: history
+        });
+    });
+
+    router.get('/active', (req, res) => {
+        const active = alerts.listActive(req.user.workspace);
+
+        res.json({
+            success: true,
+            count: active.length,
+            alerts: active
+        });
+    });
+
+    router.get('/rules', (req, res) => {
+        res.json({
+            success: true,
+            rules: alerts.listRules(req.user.workspace)
+        });
+    });
+
+    router.post('/rules', requireAdmin, (req, res) => {
+        const rule = alerts.createRule(req.body, req.user.workspace);
+
+        res.status(201).json({
+            success: true,
+            message: 'Alert rule created',
+            rule
+        });
+    });
+
+    router.patch('/rules/:id', requireAdmin, (req, res) => {
+        const rule = alerts.updateRule(req.params.id, req.body, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: 'Alert rule updated',
+            rule
+        });
+    });
+
+    router.delete('/rules/:id', requireAdmin, (req, res) => {
+        alerts.deleteRule(req.params.id, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: 'Alert rule deleted'
+        });
+    });
+
+    // Send a test notification through the rule's sinks. Only whether each sink
+    // delivered is reported; failure details go to the server log.
+    router.post('/rules/:id/test', requireAdmin, async (req, res) => {
+        const results = await alerts.test(req.params.id, req.user.workspace);
+
+        res.json({
+            success: results.every(result => result.delivered),
+            results: results.map(({ sink, delivered }) => ({ sink, delivered }))
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAlertsRouter };
@@ -0,0 +1,73 @@
+const express = require('express');
+
+// Routes: /api/auth - password login (session cookie), the current user and
+// their API tokens for scripted access
+function createAuthRouter({ users, auth }) {
+    const router = express.Router();
+    const requireUser = auth.requireRole('viewer');
+
+    router.post('/login', (req, res) => {
+        const { username, password } = req.body || {};
+        const { session, user, expires_at } = users.login(username, password);
+        auth.setSessionCookie(res, session, expires_at);
+
+        res.json({
+            success: true,
+            message: 'Logged in',
+            user,
+            expires_at
+        });
+    });
+
+    router.post('/logout', (req, res) => {
+        const session = auth.sessionFrom(req);
+        if (session) users.logout(session);
+        auth.clearSessionCookie(res);
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    });
+
+    router.get('/me', requireUser, (req, res) => {
+        res.json({
+            success: true,
+            user: req.user
+        });
+    });
+
+    router.get('/tokens', requireUser, (req, res) => {
+        const tokens = users.listTokens({ username: req.user.username });
+
+        res.json({
+            success: true,
+            count: tokens.length,
+            tokens
+        });
+    });
+
+    // The token is only returned here; keep it with the script that uses it
+    router.post('/tokens', requireUser, (req, res) => {
+        const token = users.createToken(req.user.username, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'API token created',
+            token
+        });
+    });
+
+    router.delete('/tokens/:id', requireUser, (req, res) => {
+        users.revokeToken(req.params.id, { username: req.user.username });
+
+        res.json({
+            success: true,
+            message: 'API token revoked'
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
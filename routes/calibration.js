@@ -0,0 +1,46 @@
+const express = require('express');
+const { scopeDeviceParam, requireRegisteredDevice } = require('../lib/workspaces');
+
+// Routes: /api/calibration - per-device correction profiles applied at ingest
+function createCalibrationRouter({ calibration, devices }, requireOperator) {
+    const router = express.Router();
+    router.param('device_id', scopeDeviceParam(devices));
+
+    router.get('/', (req, res) => {
+        res.json({
+            success: true,
+            profiles: calibration.list().filter(profile => devices.inWorkspace(profile.device_id, req.user.workspace))
+        });
+    });
+
+    router.get('/:device_id', (req, res) => {
+        res.json({
+            success: true,
+            profile: calibration.get(req.params.device_id)
+        });
+    });
+
+    // Replaces the device's profile; applies to readings received from now on
+    router.put('/:device_id', requireOperator, requireRegisteredDevice(devices), (req, res) => {
+        const profile = calibration.set(req.params.device_id, req.body);
+
+        res.json({
+            success: true,
+            message: `Calibration saved for ${req.params.device_id}`,
+            profile
+        });
+    });
+
+    router.delete('/:device_id', requireOperator, (req, res) => {
+        calibration.remove(req.params.device_id);
+
+        res.json({
+            success: true,
+            message: 'Calibration profile deleted'
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createCalibrationRouter };
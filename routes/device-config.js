@@ -0,0 +1,88 @@
+const express = require('express');
+const { createDeviceAuth } = require('../lib/device-auth');
+const { scopeDeviceParam, requireRegisteredDevice } = require('../lib/workspaces');
+
+// Routes: /api/config - remote configuration and commands for devices.
+// Admins set the desired config and queue commands; devices pick them up from
+// ingest responses or by polling, then acknowledge what they applied.
+function createDeviceConfigRouter({ deviceConfig, devices, deviceAuthRequired }, requireOperator) {
+    const router = express.Router();
+    const authenticateDevice = createDeviceAuth(devices, {
+        required: deviceAuthRequired,
+        deviceIdFrom: req => req.params.device_id
+    });
+    router.param('device_id', scopeDeviceParam(devices));
+    const registered = requireRegisteredDevice(devices);
+
+    router.get('/', requireOperator, (req, res) => {
+        res.json({
+            success: true,
+            devices: deviceConfig.list().filter(state => devices.inWorkspace(state.device_id, req.user.workspace))
+        });
+    });
+
+    router.get('/:device_id', requireOperator, (req, res) => {
+        res.json({
+            success: true,
+            config: deviceConfig.get(req.params.device_id)
+        });
+    });
+
+    // Partial update: keys are merged into the desired config, null removes one
+    router.put('/:device_id', requireOperator, registered, (req, res) => {
+        const config = deviceConfig.setConfig(req.params.device_id, req.body);
+
+        res.json({
+            success: true,
+            message: `Config version ${config.version} queued for ${req.params.device_id}`,
+            config
+        });
+    });
+
+    // Body: { name, params, ttl } - ttl in seconds, after which an undelivered command expires
+    router.post('/:device_id/commands', requireOperator, registered, (req, res) => {
+        const command = deviceConfig.queueCommand(req.params.device_id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: `Command ${command.name} queued for ${req.params.device_id}`,
+            command
+        });
+    });
+
+    router.delete('/:device_id/commands/:id', requireOperator, (req, res) => {
+        const command = deviceConfig.cancelCommand(req.params.device_id, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Command cancelled',
+            command
+        });
+    });
+
+    // Route: thiết bị hỏi cấu hình/lệnh đang chờ (device poll)
+    router.get('/:device_id/poll', authenticateDevice, (req, res) => {
+        res.json({
+            success: true,
+            pending: deviceConfig.pendingFor(req.params.device_id) || null
+        });
+    });
+
+    // Route: thiết bị xác nhận đã áp dụng (device acknowledgement)
+    //   { config_version: 3, commands: [{ id, status: 'done' | 'failed', result }] }
+    router.post('/:device_id/ack', authenticateDevice, (req, res) => {
+        const config = deviceConfig.acknowledge(req.params.device_id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Acknowledged',
+            applied_version: config.applied_version,
+            in_sync: config.in_sync,
+            acknowledged: config.acknowledged
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createDeviceConfigRouter };
@@ -0,0 +1,74 @@
+const express = require('express');
+const { HttpError } = require('../lib/errors');
+
+// Routes: /api/devices - device registry and per-device API keys
+function createDevicesRouter(devices) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const list = devices.list(req.user.workspace);
+
+        res.json({
+            success: true,
+            count: list.length,
+            devices: list
+        });
+    });
+
+    router.get('/:device_id', (req, res) => {
+        const device = devices.get(req.params.device_id, req.user.workspace);
+        if (!device) {
+            throw new HttpError(404, `Device "${req.params.device_id}" is not registered`);
+        }
+
+        res.json({
+            success: true,
+            device
+        });
+    });
+
+    // The API key is only returned here and on rotate-key; store it on the device
+    router.post('/', (req, res) => {
+        const device = devices.create(req.body, req.user.workspace);
+
+        res.status(201).json({
+            success: true,
+            message: 'Device registered',
+            device
+        });
+    });
+
+    router.patch('/:device_id', (req, res) => {
+        const device = devices.update(req.params.device_id, req.body, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: 'Device updated',
+            device
+        });
+    });
+
+    router.post('/:device_id/rotate-key', (req, res) => {
+        const device = devices.rotateKey(req.params.device_id, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: 'API key rotated',
+            device
+        });
+    });
+
+    router.delete('/:device_id', (req, res) => {
+        const device = devices.revoke(req.params.device_id, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: 'Device revoked',
+            device
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createDevicesRouter };
@@ -0,0 +1,50 @@
+const express = require('express');
+const { HttpError } = require('../lib/errors');
+const { parseTime, QUALITY_STATUSES } = require('../lib/query');
+const { FORMATS, streamExport } = require('../lib/export');
+
+function parseList(value) {
+    if (value === undefined || value === '') return undefined;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Routes: /api/export - stream stored readings as CSV, NDJSON or Arrow
+//   ?format=csv|ndjson|arrow&device_id=a,b&metrics=temperature,humidity&from=...&to=...&quality=good
+function createExportRouter({ storage, metrics }) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const format = req.query.format || 'csv';
+        if (!FORMATS[format]) {
+            throw new HttpError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+        }
+
+        const columns = parseList(req.query.metrics) || metrics.list().map(metric => metric.name);
+        const unknown = columns.filter(name => !metrics.get(name));
+        if (unknown.length > 0) {
+            throw new HttpError(400, `Unknown metric(s): ${unknown.join(', ')}`);
+        }
+
+        if (req.query.quality !== undefined && !QUALITY_STATUSES.includes(req.query.quality)) {
+            throw new HttpError(400, `quality must be one of: ${QUALITY_STATUSES.join(', ')}`);
+        }
+
+        const filter = {
+            workspace_id: req.user.workspace,
+            device_ids: parseList(req.query.device_id),
+            quality: req.query.quality
+        };
+        if (req.query.from !== undefined) filter.from = parseTime(req.query.from, 'from');
+        if (req.query.to !== undefined) filter.to = parseTime(req.query.to, 'to');
+
+        const date = new Date().toISOString().split('T')[0];
+        res.setHeader('Content-Type', FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="esp32_sensor_data_${date}.${FORMATS[format].extension}"`);
+
+        await streamExport(res, { storage, format, filter, columns });
+    });
+
+    return router;
+}
+
+module.exports = { createExportRouter };
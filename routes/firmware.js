@@ -0,0 +1,153 @@
+const express = require('express');
+const { createDeviceAuth } = require('../lib/device-auth');
+const { HttpError } = require('../lib/errors');
+
+// Routes: /api/firmware - OTA firmware images, rollout targets and the device
+// endpoints the ESP32 polls for updates. Images and the default target are
+// server-wide; zone and device targets belong to the zone's or device's workspace.
+function createFirmwareRouter({ firmware, devices, zones, deviceAuthRequired }, requireOperator, requireServerOperator) {
+    const router = express.Router();
+    const authenticateDevice = createDeviceAuth(devices, {
+        required: deviceAuthRequired,
+        deviceIdFrom: req => req.params.device_id
+    });
+
+    // Version the device runs: X-ESP32-Version (httpUpdate's currentVersion), ?version=,
+    // else whichever image matches the running sketch's MD5
+    function reportedVersion(req) {
+        return req.get('x-esp32-version') || req.query.version || firmware.versionByMd5(req.get('x-esp32-sketch-md5'));
+    }
+
+    router.get('/', (req, res) => {
+        res.json({
+            success: true,
+            images: firmware.list(),
+            targets: firmware.getTargets(req.user.workspace)
+        });
+    });
+
+    // Route: tải firmware lên - the .bin is the raw request body
+    //   POST /api/firmware?version=1.4.0&notes=... (Content-Type: application/octet-stream)
+    router.post('/', requireServerOperator, async (req, res) => {
+        const image = await firmware.add(req.query.version, req.body, { notes: req.query.notes });
+
+        res.status(201).json({
+            success: true,
+            message: `Firmware ${image.version} uploaded`,
+            image
+        });
+    });
+
+    router.delete('/:version', requireServerOperator, async (req, res) => {
+        await firmware.remove(req.params.version);
+
+        res.json({
+            success: true,
+            message: 'Firmware deleted'
+        });
+    });
+
+    // Targets: { version } for every device, a zone (and everything in it) or one device
+    router.put('/targets/default', requireServerOperator, (req, res) => {
+        res.json({
+            success: true,
+            message: 'Default firmware target saved',
+            targets: firmware.setTarget('default', null, (req.body || {}).version || null)
+        });
+    });
+
+    // 404 unless the zone or device belongs to the caller's workspace. Setting a
+    // device target also needs the device registered there, so the target can't
+    // carry over to a workspace that registers the id later.
+    function checkScope(scope, id, workspace, setting) {
+        if (scope === 'zones') zones.get(id, workspace);
+        else if (!devices.inWorkspace(id, workspace)) throw new HttpError(404, `Device "${id}" not found`);
+        else if (setting && !devices.get(id, workspace)) throw new HttpError(404, `Device "${id}" is not registered`);
+    }
+
+    for (const scope of ['zones', 'devices']) {
+        router.put(`/targets/${scope}/:id`, requireOperator, (req, res) => {
+            checkScope(scope, req.params.id, req.user.workspace, true);
+            firmware.setTarget(scope, req.params.id, (req.body || {}).version || null);
+
+            res.json({
+                success: true,
+                message: 'Firmware target saved',
+                targets: firmware.getTargets(req.user.workspace)
+            });
+        });
+
+        router.delete(`/targets/${scope}/:id`, requireOperator, (req, res) => {
+            checkScope(scope, req.params.id, req.user.workspace);
+            firmware.setTarget(scope, req.params.id, null);
+
+            res.json({
+                success: true,
+                message: 'Firmware target removed',
+                targets: firmware.getTargets(req.user.workspace)
+            });
+        });
+    }
+
+    // Route: tiến độ cập nhật - per-device versions and update status
+    router.get('/rollout', (req, res) => {
+        res.json({
+            success: true,
+            ...firmware.rollout(req.user.workspace)
+        });
+    });
+
+    // Route: ESP32 HTTP OTA endpoint, for httpUpdate.update(client, url, currentVersion).
+    // 304 when the device is on its target, otherwise the image with its MD5 in x-MD5.
+    router.get('/ota/:device_id', authenticateDevice, (req, res) => {
+        const { update, target } = firmware.check(req.params.device_id, reportedVersion(req));
+        if (!update) return res.status(304).end();
+
+        const image = firmware.get(target.version);
+        firmware.recordDownload(req.params.device_id);
+        console.log(`OTA: sending firmware ${image.version} to ${req.params.device_id}`);
+
+        res.sendFile(firmware.imagePath(image.version), {
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Disposition': `attachment; filename="firmware-${image.version}.bin"`,
+                'x-MD5': image.md5,
+                'X-Firmware-Version': image.version,
+                'X-Firmware-SHA256': image.sha256
+            }
+        });
+    });
+
+    // Route: JSON check for clients that download separately (the url above)
+    router.get('/ota/:device_id/check', authenticateDevice, (req, res) => {
+        const { update, current_version, target, image } = firmware.check(req.params.device_id, reportedVersion(req));
+
+        res.json({
+            success: true,
+            update,
+            current_version,
+            target_version: target ? target.version : null,
+            ...(update && {
+                size: image.size,
+                sha256: image.sha256,
+                md5: image.md5,
+                url: `${req.baseUrl}/ota/${encodeURIComponent(req.params.device_id)}`
+            })
+        });
+    });
+
+    // Route: thiết bị báo kết quả cập nhật - { status: 'success' | 'failed', version, error }
+    router.post('/ota/:device_id/report', authenticateDevice, (req, res) => {
+        const state = firmware.report(req.params.device_id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Update result recorded',
+            rollout: state
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createFirmwareRouter };
@@ -0,0 +1,43 @@
+const express = require('express');
+
+// Routes: /api/import - backfill historical readings from a CSV or JSON file.
+// The file is the raw request body; options go in the query string:
+//   format=csv|json (default: from Content-Type, else sniffed)
+//   map=Time:timestamp,Temp (C):temperature   source column -> field or metric
+//   device_id, location                       defaults for rows without them
+//   delimiter                                 CSV delimiter (default: detected)
+function createImportRouter(importer) {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+        const type = req.get('content-type') || '';
+        let format = req.query.format;
+        if (!format) {
+            format = type.includes('csv') ? 'csv' : /json/.test(type) ? 'json' : 'auto';
+        }
+
+        const defaults = {};
+        if (req.query.device_id) defaults.device_id = req.query.device_id;
+        if (req.query.location) defaults.location = req.query.location;
+
+        const result = await importer.importText(typeof req.body === 'string' ? req.body : '', {
+            format,
+            mapping: req.query.map,
+            defaults,
+            delimiter: req.query.delimiter === 'tab' ? '\t' : req.query.delimiter,
+            workspace: req.user.workspace
+        });
+
+        console.log('Import finished:', result.summary);
+
+        res.json({
+            success: true,
+            message: `Imported ${result.summary.stored} of ${result.summary.rows} rows`,
+            ...result
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createImportRouter };
@@ -0,0 +1,39 @@
+const express = require('express');
+const { HttpError } = require('../lib/errors');
+
+// Routes: /api/metrics - registered metric schema (name, unit, valid range)
+function createMetricsRouter(metrics, requireAdmin) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({
+            success: true,
+            metrics: metrics.list()
+        });
+    });
+
+    router.put('/:name', requireAdmin, (req, res) => {
+        const metric = metrics.define(req.params.name, req.body);
+
+        res.json({
+            success: true,
+            message: 'Metric saved',
+            metric
+        });
+    });
+
+    router.delete('/:name', requireAdmin, (req, res) => {
+        if (!metrics.remove(req.params.name)) {
+            throw new HttpError(404, `Unknown metric "${req.params.name}"`);
+        }
+
+        res.json({
+            success: true,
+            message: 'Metric removed'
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createMetricsRouter };
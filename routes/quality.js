@@ -0,0 +1,45 @@
+const express = require('express');
+
+// Routes: /api/quality - anomaly/sensor-fault detection settings and flagged readings
+function createQualityRouter({ quality, storage }, requireAdmin) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({
+            success: true,
+            settings: quality.getConfig()
+        });
+    });
+
+    // Partial update; metrics.<name> settings are merged, null resets a metric
+    router.put('/', requireAdmin, (req, res) => {
+        const settings = quality.update(req.body);
+
+        res.json({
+            success: true,
+            message: 'Quality settings saved',
+            settings
+        });
+    });
+
+    // Route: recently flagged readings, newest first (?device_id=&limit=)
+    router.get('/flagged', async (req, res) => {
+        const readings = await storage.query({
+            workspace_id: req.user.workspace,
+            device_id: req.query.device_id,
+            quality: 'suspect',
+            order: 'desc',
+            limit: Math.min(parseInt(req.query.limit) || 50, 1000)
+        });
+
+        res.json({
+            success: true,
+            count: readings.length,
+            readings
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createQualityRouter };
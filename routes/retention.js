@@ -0,0 +1,86 @@
+const express = require('express');
+const { parseTime } = require('../lib/query');
+const { scopeDeviceParam, requireRegisteredDevice, DEFAULT_WORKSPACE } = require('../lib/workspaces');
+
+// Routes: /api/retention - retention policies, the rollup/purge job and rollup data.
+// The default policy and the job are server-wide; device policies belong to the
+// device's workspace.
+function createRetentionRouter({ retention, devices }, requireAdmin, requireServerAdmin) {
+    const router = express.Router();
+    router.param('device_id', scopeDeviceParam(devices));
+
+    router.get('/', async (req, res) => {
+        const policies = retention.getPolicies();
+        const devicePolicies = Object.fromEntries(Object.entries(policies.devices)
+            .filter(([deviceId]) => devices.inWorkspace(deviceId, req.user.workspace)));
+
+        res.json({
+            success: true,
+            policies: { ...policies, devices: devicePolicies },
+            ...(req.user.workspace === DEFAULT_WORKSPACE && await retention.status())
+        });
+    });
+
+    router.put('/default', requireServerAdmin, (req, res) => {
+        const policy = retention.setDefault(req.body);
+
+        res.json({
+            success: true,
+            message: 'Default retention policy saved',
+            policy
+        });
+    });
+
+    router.put('/devices/:device_id', requireAdmin, requireRegisteredDevice(devices), (req, res) => {
+        const policy = retention.setDevicePolicy(req.params.device_id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Device retention policy saved',
+            device_id: req.params.device_id,
+            policy
+        });
+    });
+
+    router.delete('/devices/:device_id', requireAdmin, (req, res) => {
+        retention.removeDevicePolicy(req.params.device_id);
+
+        res.json({
+            success: true,
+            message: 'Device retention policy removed; the default applies again'
+        });
+    });
+
+    // Apply the policies now instead of waiting for the next scheduled run
+    router.post('/run', requireServerAdmin, async (req, res) => {
+        const summary = await retention.run();
+
+        res.json({
+            success: true,
+            message: 'Retention job finished',
+            summary
+        });
+    });
+
+    // Route: hourly/daily rollups (?interval=hourly|daily&device_id=&from=&to=&limit=)
+    router.get('/rollups', async (req, res) => {
+        const rollups = await retention.queryRollups(req.query.interval || 'hourly', {
+            workspace_id: req.user.workspace,
+            device_id: req.query.device_id,
+            from: parseTime(req.query.from, 'from'),
+            to: parseTime(req.query.to, 'to'),
+            order: req.query.order === 'asc' ? 'asc' : 'desc',
+            limit: Math.min(parseInt(req.query.limit) || 100, 5000)
+        });
+
+        res.json({
+            success: true,
+            count: rollups.length,
+            rollups
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createRetentionRouter };
@@ -0,0 +1,49 @@
+const express = require('express');
+const { HttpError } = require('../lib/errors');
+
+// Routes: /api/status - device online/stale/offline state from heartbeat tracking
+function createStatusRouter(heartbeat) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const devices = heartbeat.list(req.user.workspace);
+        const summary = { online: 0, stale: 0, offline: 0 };
+        devices.forEach(device => summary[device.status]++);
+
+        res.json({
+            success: true,
+            summary,
+            devices
+        });
+    });
+
+    router.get('/history', (req, res) => {
+        const changes = heartbeat.listHistory({
+            workspace_id: req.user.workspace,
+            device_id: req.query.device_id,
+            limit: parseInt(req.query.limit) || 100
+        });
+
+        res.json({
+            success: true,
+            count: changes.length,
+            changes
+        });
+    });
+
+    router.get('/:device_id', (req, res) => {
+        const device = heartbeat.get(req.params.device_id);
+        if (!device || device.workspace_id !== req.user.workspace) {
+            throw new HttpError(404, `Device "${req.params.device_id}" not found`);
+        }
+
+        res.json({
+            success: true,
+            device
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createStatusRouter };
@@ -0,0 +1,67 @@
+const express = require('express');
+const { parseUnit, createUnitConverter } = require('../lib/units');
+const { ValidationError } = require('../lib/errors');
+
+const KEEPALIVE_MS = 25000;
+const EVENT_TYPES = ['reading', 'alert', 'device-status'];
+
+// ?events=reading,alert -> ['reading', 'alert']; empty or missing = every type
+function parseEvents(value) {
+    if (value === undefined || value === '') return EVENT_TYPES;
+
+    const types = [...new Set(String(value).split(',').map(type => type.trim()))];
+    const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new ValidationError([{
+            field: 'events',
+            code: 'invalid_value',
+            message: `Unknown event type(s): ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})`
+        }], 'Invalid stream query');
+    }
+    return types;
+}
+
+// Route: /api/stream - Server-Sent Events feed of readings, alerts and device
+// status changes. ?device_id=a,b limits the feed to those devices and
+// ?events=reading,alert limits the event types and ?unit=F|K converts
+// temperatures in readings. Only events of the caller's workspace are sent.
+function createStreamRouter(events, metrics) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const deviceIds = req.query.device_id ? new Set(String(req.query.device_id).split(',')) : null;
+        const types = parseEvents(req.query.events);
+        const convert = createUnitConverter(metrics, parseUnit(req.query.unit));
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const listeners = types.map(type => {
+            const listener = data => {
+                if (data.workspace_id !== req.user.workspace) return;
+                if (deviceIds && !deviceIds.has(data.device_id)) return;
+                const payload = type === 'reading' ? convert.record(data) : data;
+                res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+            };
+            events.on(type, listener);
+            return [type, listener];
+        });
+
+        // Comment lines keep proxies from closing an idle connection
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+
+        req.on('close', () => {
+            clearInterval(keepalive);
+            listeners.forEach(([type, listener]) => events.off(type, listener));
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createStreamRouter };
@@ -0,0 +1,85 @@
+const express = require('express');
+const { DEFAULT_WORKSPACE } = require('../lib/workspaces');
+
+// Routes: /api/users - user accounts and roles (admin only). Admins manage the
+// users of their own workspace; admins of the default workspace manage everyone
+// and may create users in any workspace.
+function createUsersRouter(users) {
+    const router = express.Router();
+
+    // undefined (every workspace) for admins of the default workspace
+    function scopeOf(req) {
+        return req.user.workspace === DEFAULT_WORKSPACE ? undefined : req.user.workspace;
+    }
+
+    router.get('/', (req, res) => {
+        const list = users.list(scopeOf(req));
+
+        res.json({
+            success: true,
+            count: list.length,
+            users: list
+        });
+    });
+
+    router.get('/tokens', (req, res) => {
+        const tokens = users.listTokens({ workspace: scopeOf(req) });
+
+        res.json({
+            success: true,
+            count: tokens.length,
+            tokens
+        });
+    });
+
+    router.delete('/tokens/:id', (req, res) => {
+        users.revokeToken(req.params.id, { workspace: scopeOf(req) });
+
+        res.json({
+            success: true,
+            message: 'API token revoked'
+        });
+    });
+
+    router.get('/:username', (req, res) => {
+        res.json({
+            success: true,
+            user: users.get(req.params.username, scopeOf(req))
+        });
+    });
+
+    router.post('/', (req, res) => {
+        const body = req.body || {};
+        const workspace = scopeOf(req) || body.workspace;
+        const user = users.create({ ...body, workspace });
+
+        res.status(201).json({
+            success: true,
+            message: 'User created',
+            user
+        });
+    });
+
+    router.patch('/:username', (req, res) => {
+        const user = users.update(req.params.username, req.body, scopeOf(req));
+
+        res.json({
+            success: true,
+            message: 'User updated',
+            user
+        });
+    });
+
+    router.delete('/:username', (req, res) => {
+        users.remove(req.params.username, scopeOf(req));
+
+        res.json({
+            success: true,
+            message: 'User deleted'
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,73 @@
+const express = require('express');
+
+// Routes: /api/workspaces - tenants sharing the server (admins of the default
+// workspace only). A workspace can be deleted once it owns nothing; revoked
+// devices don't count, they only keep their ids from being registered again.
+function createWorkspacesRouter({ workspaces, devices, users, zones, alerts }) {
+    const router = express.Router();
+
+    function owned(id) {
+        return [
+            [devices.list(id).filter(device => !device.revoked_at).length, 'device'],
+            [users.list(id).length, 'user'],
+            [zones.list(id).length, 'zone'],
+            [alerts.listRules(id).length, 'alert rule']
+        ].filter(([count]) => count > 0).map(([count, noun]) => `${count} ${noun}${count === 1 ? '' : 's'}`);
+    }
+
+    function describe(workspace) {
+        return {
+            ...workspace,
+            devices: devices.list(workspace.id).length,
+            users: users.list(workspace.id).length
+        };
+    }
+
+    router.get('/', (req, res) => {
+        res.json({
+            success: true,
+            workspaces: workspaces.list().map(describe)
+        });
+    });
+
+    router.get('/:id', (req, res) => {
+        res.json({
+            success: true,
+            workspace: describe(workspaces.get(req.params.id))
+        });
+    });
+
+    // Add the workspace's first admin with POST /api/users { ..., workspace }
+    router.post('/', (req, res) => {
+        const workspace = workspaces.create(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Workspace created',
+            workspace: describe(workspace)
+        });
+    });
+
+    router.patch('/:id', (req, res) => {
+        const workspace = workspaces.update(req.params.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Workspace updated',
+            workspace: describe(workspace)
+        });
+    });
+
+    router.delete('/:id', (req, res) => {
+        workspaces.remove(req.params.id, owned);
+
+        res.json({
+            success: true,
+            message: 'Workspace deleted'
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createWorkspacesRouter };
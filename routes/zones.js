@@ -0,0 +1,114 @@
+const express = require('express');
+const { computeStats, parseStatsQuery } = require('../lib/stats');
+const { createUnitConverter } = require('../lib/units');
+const { scopeDeviceParam, requireRegisteredDevice } = require('../lib/workspaces');
+
+// Routes: /api/zones - building > floor > room hierarchy, device assignment,
+// and data/stats for everything reported from a zone (including its sub-zones).
+// Each workspace has its own zones and can only assign its own registered devices.
+function createZonesRouter({ zones, devices, storage, metrics, queryData }, requireOperator) {
+    const router = express.Router();
+    router.param('device_id', scopeDeviceParam(devices));
+    const registered = requireRegisteredDevice(devices);
+
+    router.get('/', (req, res) => {
+        res.json({
+            success: true,
+            zones: zones.list(req.user.workspace),
+            tree: zones.tree(req.user.workspace)
+        });
+    });
+
+    router.get('/:id', (req, res) => {
+        res.json({
+            success: true,
+            zone: zones.get(req.params.id, req.user.workspace)
+        });
+    });
+
+    router.post('/', requireOperator, (req, res) => {
+        const zone = zones.create(req.body, req.user.workspace);
+
+        res.status(201).json({
+            success: true,
+            message: 'Zone created',
+            zone
+        });
+    });
+
+    router.patch('/:id', requireOperator, (req, res) => {
+        const zone = zones.update(req.params.id, req.body, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: 'Zone updated',
+            zone
+        });
+    });
+
+    router.delete('/:id', requireOperator, (req, res) => {
+        zones.remove(req.params.id, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: 'Zone deleted'
+        });
+    });
+
+    // Assigning a device moves it here from any other zone
+    router.put('/:id/devices/:device_id', requireOperator, registered, (req, res) => {
+        const zone = zones.assign(req.params.id, req.params.device_id, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: `Device ${req.params.device_id} assigned to ${zone.path}`,
+            zone
+        });
+    });
+
+    router.delete('/:id/devices/:device_id', requireOperator, (req, res) => {
+        zones.unassign(req.params.id, req.params.device_id, req.user.workspace);
+
+        res.json({
+            success: true,
+            message: `Device ${req.params.device_id} unassigned`
+        });
+    });
+
+    // Route: readings from the zone, same options as /api/data
+    router.get('/:id/data', async (req, res) => {
+        const zone = zones.get(req.params.id, req.user.workspace);
+        const result = await queryData(req.query, {
+            workspace_id: req.user.workspace,
+            zone_ids: zones.descendants(zone.id)
+        });
+
+        res.json({
+            success: true,
+            zone_id: zone.id,
+            path: zone.path,
+            ...result
+        });
+    });
+
+    // Route: stats for the zone, same options as /api/stats
+    router.get('/:id/stats', async (req, res) => {
+        const zone = zones.get(req.params.id, req.user.workspace);
+        const { filter, groupBy, unit } = parseStatsQuery(req.query);
+        const stats = await computeStats(storage, metrics, {
+            filter: { ...filter, workspace_id: req.user.workspace, zone_ids: zones.descendants(zone.id) },
+            groupBy
+        });
+
+        res.json({
+            success: true,
+            zone_id: zone.id,
+            path: zone.path,
+            stats: createUnitConverter(metrics, unit).stats(stats)
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createZonesRouter };
@@ -1,179 +1,369 @@
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
 const fs = require('fs');
+const { EventEmitter } = require('events');
 const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { createMetricRegistry } = require('./lib/metrics');
+const { createIngest } = require('./lib/ingest');
+const { createImporter } = require('./lib/import');
+const { createRetentionManager } = require('./lib/retention');
+const { computeStats, parseStatsQuery } = require('./lib/stats');
+const { createQualityChecker } = require('./lib/quality');
+const { createZoneRegistry } = require('./lib/zones');
+const { createDeviceConfigService } = require('./lib/device-config');
+const { createCalibrationRegistry } = require('./lib/calibration');
+const { createFirmwareRepository } = require('./lib/firmware');
+const { createTelemetry } = require('./lib/telemetry');
+const { registerDeviceTelemetry } = require('./lib/device-telemetry');
+const { parseUnit, createUnitConverter } = require('./lib/units');
+const { HttpError, fromParserError } = require('./lib/errors');
+const { parseDataQuery, readPage, aggregate } = require('./lib/query');
+const { createDeviceRegistry } = require('./lib/devices');
+const { createDeviceAuth, keepRawBody } = require('./lib/device-auth');
+const { createBatchParser } = require('./lib/batch');
+const { createUserStore } = require('./lib/users');
+const { createWorkspaceRegistry } = require('./lib/workspaces');
+const { createAuth } = require('./lib/auth');
+const { createAlertEngine } = require('./lib/alerts');
+const { createLogSink, createWebhookSink, createNotifier } = require('./lib/notifiers');
+const { createHeartbeatMonitor } = require('./lib/heartbeat');
+const { createMqttIngest } = require('./lib/mqtt');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createDevicesRouter } = require('./routes/devices');
+const { createAlertsRouter } = require('./routes/alerts');
+const { createStatusRouter } = require('./routes/status');
+const { createStreamRouter } = require('./routes/stream');
+const { createExportRouter } = require('./routes/export');
+const { createImportRouter } = require('./routes/import');
+const { createRetentionRouter } = require('./routes/retention');
+const { createQualityRouter } = require('./routes/quality');
+const { createZonesRouter } = require('./routes/zones');
+const { createDeviceConfigRouter } = require('./routes/device-config');
+const { createCalibrationRouter } = require('./routes/calibration');
+const { createFirmwareRouter } = require('./routes/firmware');
+const { createAuthRouter } = require('./routes/auth');
+const { createUsersRouter } = require('./routes/users');
+const { createWorkspacesRouter } = require('./routes/workspaces');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// CORS is off unless CORS_ORIGINS lists allowed origins ('*' allows any);
+// the dashboard is same-origin and ESP32 clients do not need it.
+const CORS_ORIGINS = process.env.CORS_ORIGINS;
+
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(cors({
+    origin: !CORS_ORIGINS ? false : CORS_ORIGINS === '*' ? true : CORS_ORIGINS.split(',').map(origin => origin.trim())
+}));
+// Batch uploads get a larger body limit and NDJSON support
+app.use('/api/sensor-data/batch',
+    express.json({ limit: '5mb', verify: keepRawBody }),
+    express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '5mb', verify: keepRawBody }));
+// Imports are read as raw text and parsed by lib/import (CSV or JSON)
+app.use('/api/import', express.text({ type: () => true, limit: process.env.IMPORT_MAX_SIZE || '50mb' }));
+// Firmware images are uploaded as the raw request body
+app.use('/api/firmware', express.raw({ type: 'application/octet-stream', limit: process.env.FIRMWARE_MAX_SIZE || '16mb' }));
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+// Readings are kept in an append-only, time-partitioned store (see lib/storage)
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const LEGACY_DATA_FILE = 'sensor_data.json';
+const storage = createStorage({ dir: path.join(DATA_DIR, 'readings') });
+// Hourly and daily rollups of readings past their retention (see lib/retention)
+const rollups = [
+    createStorage({ dir: path.join(DATA_DIR, 'rollups', 'hourly') }),
+    createStorage({ dir: path.join(DATA_DIR, 'rollups', 'daily') })
+];
+const metrics = createMetricRegistry({ file: path.join(DATA_DIR, 'metrics.json') });
+const devices = createDeviceRegistry({ file: path.join(DATA_DIR, 'devices.json') });
+// Event bus: 'reading', 'alert' and 'device-status'. Every /api/stream client
+// adds listeners, so the default limit of 10 does not apply.
+const events = new EventEmitter();
+events.setMaxListeners(0);
+// Readings are quality-checked at ingest and flagged, not rejected, when implausible
+const quality = createQualityChecker({ file: path.join(DATA_DIR, 'quality.json'), storage });
+const zones = createZoneRegistry({ file: path.join(DATA_DIR, 'zones.json') });
+// Desired config and queued commands, handed to devices in ingest responses
+const deviceConfig = createDeviceConfigService({
+    file: path.join(DATA_DIR, 'device-config.json'),
+    metrics,
+    devices
+});
+// Per-device corrections; the reported values are kept in record.raw
+const calibration = createCalibrationRegistry({ file: path.join(DATA_DIR, 'calibration.json'), metrics });
+// Prometheus metrics served at /metrics
+const telemetry = createTelemetry();
+const ingest = createIngest({ storage, metrics, events, quality, zones, devices, calibration, telemetry });
+const firmware = createFirmwareRepository({
+    dir: path.join(DATA_DIR, 'firmware'),
+    file: path.join(DATA_DIR, 'firmware.json'),
+    devices,
+    zones
+});
+const importer = createImporter({ ingest, metrics });
+const retention = createRetentionManager({
+    file: path.join(DATA_DIR, 'retention.json'),
+    stores: [storage, ...rollups]
+});
+
+// Alert rules are evaluated on every stored reading
+const notifier = createNotifier({
+    log: createLogSink(process.env.ALERT_LOG_FILE || path.join(DATA_DIR, 'alerts.log')),
+    webhook: createWebhookSink({
+        url: process.env.ALERT_WEBHOOK_URL,
+        // Origins a rule's own webhook_url may point at, comma-separated
+        allowlist: (process.env.ALERT_WEBHOOK_ALLOWLIST || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    })
+});
+const alerts = createAlertEngine({
+    file: path.join(DATA_DIR, 'alert-rules.json'),
+    historyFile: path.join(DATA_DIR, 'alert-history.ndjson'),
+    metrics,
+    notifier,
+    events,
+    heartbeatSinks: (process.env.HEARTBEAT_ALERT_SINKS || 'log').split(',')
+});
 
-// Lưu trữ dữ liệu trong memory (có thể thay bằng database)
-let sensorData = [];
-const DATA_FILE = 'sensor_data.json';
+// Devices are stale after missing 2 expected reports and offline after 5;
+// the default interval applies to devices without their own expected_interval
+const heartbeat = createHeartbeatMonitor({
+    devices,
+    storage,
+    events,
+    defaultInterval: parseInt(process.env.DEFAULT_REPORT_INTERVAL) || 60
+});
 
-// Load existing data from file
-function loadDataFromFile() {
+events.on('reading', record => {
     try {
-        if (fs.existsSync(DATA_FILE)) {
-            const data = fs.readFileSync(DATA_FILE, 'utf8');
-            sensorData = JSON.parse(data);
-            console.log(`Loaded ${sensorData.length} records from file`);
-        }
+        alerts.evaluate(record);
     } catch (error) {
-        console.error('Error loading data from file:', error);
-        sensorData = [];
+        console.error('Error evaluating alert rules:', error);
     }
+});
+events.on('device-status', change => alerts.reportDeviceStatus(change));
+registerDeviceTelemetry({ telemetry, events, heartbeat, storage, metrics });
+
+// Ingest requires a registered device and its credential unless DEVICE_AUTH=off
+const DEVICE_AUTH_REQUIRED = process.env.DEVICE_AUTH !== 'off';
+const authenticateDevice = createDeviceAuth(devices, { required: DEVICE_AUTH_REQUIRED });
+const authenticateBatch = createDeviceAuth(devices, {
+    required: DEVICE_AUTH_REQUIRED,
+    deviceIdFrom: req => req.batch.device_id
+});
+const parseBatch = createBatchParser({ singleDevice: DEVICE_AUTH_REQUIRED });
+
+// User accounts with viewer/operator/admin roles (see lib/users). The dashboard
+// and every /api route need a login session or API token, except the endpoints
+// devices call with their own credentials. AUTH=off leaves everything open.
+// Users act within their workspace (see lib/workspaces): devices, zones, alert
+// rules and readings of other workspaces are invisible to them. Server-wide
+// settings need a user of the default workspace.
+const workspaces = createWorkspaceRegistry({ file: path.join(DATA_DIR, 'workspaces.json') });
+const users = createUserStore({
+    file: path.join(DATA_DIR, 'users.json'),
+    workspaces,
+    sessionTtl: parseInt(process.env.SESSION_TTL) || 7 * 24 * 3600
+});
+const auth = createAuth({
+    users,
+    adminToken: process.env.ADMIN_TOKEN,
+    enabled: process.env.AUTH !== 'off',
+    secureCookie: process.env.SECURE_COOKIES === 'true'
+});
+const requireViewer = auth.requireRole('viewer');
+const requireOperator = auth.requireRole('operator');
+const requireAdmin = auth.requireRole('admin');
+const requireServerOperator = auth.requireRole('operator', { serverWide: true });
+const requireServerAdmin = auth.requireRole('admin', { serverWide: true });
+const PUBLIC_API_ROUTES = [
+    /^\/sensor-data(\/|$)/,
+    /^\/firmware\/ota\//,
+    /^\/config\/[^/]+\/(poll|ack)$/,
+    /^\/auth\/(login|logout)$/
+];
+
+// First start: create an admin account, printing the password if none was given
+if (auth.enabled && users.count() === 0) {
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    users.create({ username: 'admin', role: 'admin', password });
+    console.log(process.env.ADMIN_PASSWORD
+        ? '👤 Created user "admin" with the password from ADMIN_PASSWORD'
+        : `👤 Created user "admin" with password: ${password} (change it after logging in)`);
 }
 
-// Save data to file
-function saveDataToFile() {
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_ROUTES.some(route => route.test(req.path))) return next();
+    requireViewer(req, res, next);
+});
+
+// MQTT ingest: MQTT_MODE=embedded runs a broker on MQTT_PORT, MQTT_MODE=client
+// subscribes through the broker at MQTT_URL (device auth is then that broker's
+// job, see lib/mqtt.js); off by default
+const MQTT_MODE = process.env.MQTT_MODE || 'off';
+const mqttIngest = createMqttIngest({
+    ingest,
+    devices,
+    requireAuth: DEVICE_AUTH_REQUIRED,
+    prefix: process.env.MQTT_TOPIC_PREFIX || 'sensors'
+});
+
+// Open the store and import the legacy sensor_data.json array, if any
+async function loadDataFromFile() {
+    await storage.open();
+    await Promise.all(rollups.map(rollup => rollup.open()));
+
+    if (!fs.existsSync(LEGACY_DATA_FILE)) {
+        console.log(`Storage ready: ${await storage.count()} records`);
+        return;
+    }
+
     try {
-        fs.writeFileSync(DATA_FILE, JSON.stringify(sensorData, null, 2));
+        const legacy = JSON.parse(await fs.promises.readFile(LEGACY_DATA_FILE, 'utf8'));
+        await storage.append(legacy);
+        await fs.promises.rename(LEGACY_DATA_FILE, `${LEGACY_DATA_FILE}.migrated`);
+        console.log(`Imported ${legacy.length} records from ${LEGACY_DATA_FILE}`);
     } catch (error) {
-        console.error('Error saving data to file:', error);
+        console.error('Error importing legacy data file:', error);
     }
 }
 
-// Load data on startup
-loadDataFromFile();
-
 // Route: Nhận dữ liệu từ ESP32 (POST)
-app.post('/api/sensor-data', (req, res) => {
-    try {
-        console.log('\n=== Received Sensor Data ===');
-        console.log('Headers:', req.headers);
-        console.log('Body:', req.body);
-
-        const { device_id, temperature, humidity, timestamp, location } = req.body;
-
-        // Validate data
-        if (!device_id || temperature === undefined || humidity === undefined) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: device_id, temperature, humidity'
-            });
-        }
-
-        // Create data record
-        const dataRecord = {
-            id: Date.now(),
-            device_id,
-            temperature: parseFloat(temperature),
-            humidity: parseFloat(humidity),
-            location: location || 'Unknown',
-            timestamp: timestamp || Date.now(),
-            received_at: new Date().toISOString()
-        };
-
-        // Add to data array
-        sensorData.push(dataRecord);
-
-        // Keep only last 1000 records
-        if (sensorData.length > 1000) {
-            sensorData = sensorData.slice(-1000);
-        }
-
-        // Save to file
-        saveDataToFile();
-
-        console.log('Data saved successfully:', dataRecord);
-
-        // Send response
-        res.status(200).json({
-            success: true,
-            message: 'Data received and saved successfully',
-            data: dataRecord
-        });
+app.post('/api/sensor-data', authenticateDevice, async (req, res) => {
+    console.log('\n=== Received Sensor Data ===');
 
-    } catch (error) {
-        console.error('Error processing sensor data:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
-    }
+    // Validate against the reading and metric schemas and append to storage;
+    // rejected readings reach the error handler as a ValidationError
+    const dataRecord = await ingest.ingest(req.body);
+
+    console.log('Data saved successfully:', dataRecord);
+
+    // Send response
+    res.status(200).json({
+        success: true,
+        message: 'Data received and saved successfully',
+        data: dataRecord,
+        pending: deviceConfig.pendingFor(dataRecord.device_id)
+    });
 });
 
 // Route: Nhận dữ liệu từ ESP32 (GET) - Alternative method
-app.get('/api/sensor-data', (req, res) => {
-    try {
-        const { device_id, temperature, humidity, timestamp } = req.query;
-
-        if (!device_id || !temperature || !humidity) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required parameters'
-            });
-        }
-
-        const dataRecord = {
-            id: Date.now(),
-            device_id,
-            temperature: parseFloat(temperature),
-            humidity: parseFloat(humidity),
-            timestamp: parseInt(timestamp) || Date.now(),
-            received_at: new Date().toISOString()
-        };
-
-        sensorData.push(dataRecord);
-        saveDataToFile();
-
-        console.log('GET - Data received:', dataRecord);
-
-        res.status(200).json({
-            success: true,
-            message: 'Data received via GET',
-            data: dataRecord
-        });
+app.get('/api/sensor-data', authenticateDevice, async (req, res) => {
+    const dataRecord = await ingest.ingest(req.query);
 
-    } catch (error) {
-        console.error('Error processing GET request:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error'
-        });
-    }
+    console.log('GET - Data received:', dataRecord);
+
+    res.status(200).json({
+        success: true,
+        message: 'Data received via GET',
+        data: dataRecord,
+        pending: deviceConfig.pendingFor(dataRecord.device_id)
+    });
 });
 
+// Route: Nhận nhiều bản ghi cùng lúc (batch) - readings buffered while offline.
+// Each reading needs its own timestamp; the response reports stored, duplicate
+// or rejected for every item, in request order.
+app.post('/api/sensor-data/batch', parseBatch, authenticateBatch, async (req, res) => {
+    const results = await ingest.ingestBatch(req.batch.items);
+    const summary = { stored: 0, duplicate: 0, rejected: 0 };
+    results.forEach(result => summary[result.status]++);
+
+    console.log(`Batch received: ${results.length} readings`, summary);
+
+    res.status(200).json({
+        success: summary.rejected === 0,
+        message: `Stored ${summary.stored} of ${results.length} readings`,
+        summary,
+        results,
+        pending: req.batch.device_id ? deviceConfig.pendingFor(req.batch.device_id) : undefined
+    });
+});
+
+// Routes: Login sessions, API tokens and user accounts
+app.use('/api/auth', createAuthRouter({ users, auth }));
+app.use('/api/users', requireAdmin, createUsersRouter(users));
+app.use('/api/workspaces', requireServerAdmin, createWorkspacesRouter({ workspaces, devices, users, zones, alerts }));
+
+// Routes: Metric schema, device registry, alerts, device status and live stream
+app.use('/api/metrics', createMetricsRouter(metrics, requireServerAdmin));
+app.use('/api/devices', requireOperator, createDevicesRouter(devices));
+app.use('/api/alerts', createAlertsRouter(alerts, requireAdmin));
+app.use('/api/status', createStatusRouter(heartbeat));
+app.use('/api/stream', createStreamRouter(events, metrics));
+app.use('/api/export', requireOperator, createExportRouter({ storage, metrics }));
+app.use('/api/import', requireOperator, createImportRouter(importer));
+app.use('/api/retention', createRetentionRouter({ retention, devices }, requireAdmin, requireServerAdmin));
+app.use('/api/quality', createQualityRouter({ quality, storage }, requireServerAdmin));
+app.use('/api/zones', createZonesRouter({ zones, devices, storage, metrics, queryData }, requireOperator));
+app.use('/api/calibration', createCalibrationRouter({ calibration, devices }, requireOperator));
+app.use('/api/firmware', createFirmwareRouter({
+    firmware,
+    devices,
+    zones,
+    deviceAuthRequired: DEVICE_AUTH_REQUIRED
+}, requireOperator, requireServerOperator));
+app.use('/api/config', createDeviceConfigRouter({
+    deviceConfig,
+    devices,
+    deviceAuthRequired: DEVICE_AUTH_REQUIRED
+}, requireOperator));
+
+// Query /api/data and /api/data/:device_id share: raw pages (from, to, limit,
+// order, cursor) or downsampled buckets when interval is given (1m, 1h, 1d, auto).
+// ?device_id=a,b limits the devices, ?group_by=device returns one bucket series
+// per device and ?unit=F|K returns temperatures in that unit.
+async function queryData(query, filter) {
+    const { from, to, limit, order, cursor, interval, quality, deviceIds, groupBy, unit } = parseDataQuery(query);
+    const rangeFilter = { ...filter, from, to, order, quality, device_ids: deviceIds };
+    const convert = createUnitConverter(metrics, unit);
+
+    if (interval) {
+        const result = await aggregate(storage, rangeFilter, { interval, from, to, groupBy, rollups });
+        const count = result.series ? result.series.length : result.buckets.length;
+        return convert.data({ count, unit: convert.unit, ...result });
+    }
+
+    const { data, next_cursor } = await readPage(storage, rangeFilter, { limit, cursor });
+    return convert.data({ count: data.length, unit: convert.unit, data, next_cursor });
+}
+
 // Route: Lấy tất cả dữ liệu
-app.get('/api/data', (req, res) => {
-    const limit = parseInt(req.query.limit) || 50;
-    const recentData = sensorData.slice(-limit).reverse();
+app.get('/api/data', async (req, res) => {
+    const filter = { workspace_id: req.user.workspace };
+    const result = await queryData(req.query, filter);
 
-    res.json({
-        success: true,
-        count: recentData.length,
-        total: sensorData.length,
-        data: recentData
-    });
+    res.json({ success: true, ...result });
 });
 
 // Route: Lấy dữ liệu theo device_id
-app.get('/api/data/:device_id', (req, res) => {
+app.get('/api/data/:device_id', async (req, res) => {
     const { device_id } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-
-    const deviceData = sensorData
-        .filter(record => record.device_id === device_id)
-        .slice(-limit)
-        .reverse();
+    const result = await queryData(req.query, { device_id, workspace_id: req.user.workspace });
 
     res.json({
         success: true,
         device_id,
-        count: deviceData.length,
-        data: deviceData
+        ...result
     });
 });
 
 // Route: Thống kê dữ liệu
-app.get('/api/stats', (req, res) => {
-    if (sensorData.length === 0) {
+// ?window=hour|day|week|month|all (or e.g. 6h; default day), from/to, device_id=a,b,
+// group_by=device,location,zone, quality=good to leave out readings flagged by
+// quality checks, unit=C|F|K for temperatures. Median and percentiles are exact up
+// to 10000 values per metric and sampled beyond (marked sampled: true).
+app.get('/api/stats', async (req, res) => {
+    const { filter, groupBy, unit } = parseStatsQuery(req.query);
+    const stats = createUnitConverter(metrics, unit).stats(await computeStats(storage, metrics, {
+        filter: { ...filter, workspace_id: req.user.workspace },
+        groupBy
+    }));
+
+    if (stats.total_records === 0) {
         return res.json({
             success: true,
             message: 'No data available',
@@ -181,725 +371,133 @@ app.get('/api/stats', (req, res) => {
         });
     }
 
-    const temperatures = sensorData.map(d => d.temperature);
-    const humidities = sensorData.map(d => d.humidity);
-
-    const stats = {
-        total_records: sensorData.length,
-        temperature: {
-            min: Math.min(...temperatures),
-            max: Math.max(...temperatures),
-            avg: (temperatures.reduce((a, b) => a + b, 0) / temperatures.length).toFixed(2)
-        },
-        humidity: {
-            min: Math.min(...humidities),
-            max: Math.max(...humidities),
-            avg: (humidities.reduce((a, b) => a + b, 0) / humidities.length).toFixed(2)
-        },
-        devices: [...new Set(sensorData.map(d => d.device_id))],
-        latest_reading: sensorData[sensorData.length - 1]
-    };
-
     res.json({
         success: true,
         stats
     });
 });
 
+// Route: Prometheus scrape endpoint - latest device values, last-seen times and
+// ingest/storage counters in the text exposition format. It covers every
+// workspace, so it needs a user or token of the default workspace.
+app.get('/metrics', auth.requireRole('viewer', { serverWide: true }), async (req, res) => {
+    res.set('Content-Type', telemetry.contentType);
+    res.send(await telemetry.render());
+});
+
+// Dashboard frontend: pages, styles and scripts under public/, plus the chart
+// libraries served from node_modules so the dashboard needs no internet access
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const VENDOR_FILES = {
+    'chart.js': 'chart.js/dist/chart.umd.min.js',
+    'chartjs-adapter-date-fns.js': 'chartjs-adapter-date-fns/dist/chartjs-adapter-date-fns.bundle.min.js',
+    'hammer.js': 'hammerjs/hammer.min.js',
+    'chartjs-plugin-zoom.js': 'chartjs-plugin-zoom/dist/chartjs-plugin-zoom.min.js'
+};
+
+app.get('/vendor/:file', (req, res, next) => {
+    const file = VENDOR_FILES[req.params.file];
+    if (!file) return next();
+    res.sendFile(path.join(__dirname, 'node_modules', file));
+});
+
+app.use(express.static(PUBLIC_DIR, { index: false }));
+
+// Route: Login page
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'login.html'));
+});
+
+// Route: Device detail page (charts, status, firmware, config, calibration, alerts)
+app.get('/devices/:device_id', auth.authenticate, (req, res) => {
+    if (!req.user) return res.redirect('/login');
+    res.sendFile(path.join(PUBLIC_DIR, 'device.html'));
+});
+
 // Route: Dashboard HTML
-app.get('/', (req, res) => {
-    const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <title>ESP32 Sensor Dashboard</title>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
-        <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            
-            body {
-                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                min-height: 100vh;
-                padding: 20px;
-                color: #333;
-            }
-            
-            .container {
-                max-width: 1400px;
-                margin: 0 auto;
-            }
-            
-            .header {
-                text-align: center;
-                color: white;
-                margin-bottom: 30px;
-            }
-            
-            .header h1 {
-                font-size: 2.5rem;
-                margin-bottom: 10px;
-                text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
-            }
-            
-            .header-controls {
-                display: flex;
-                justify-content: center;
-                gap: 15px;
-                margin-top: 20px;
-                flex-wrap: wrap;
-            }
-            
-            .btn {
-                background: rgba(255,255,255,0.2);
-                color: white;
-                border: 2px solid rgba(255,255,255,0.3);
-                padding: 12px 24px;
-                border-radius: 25px;
-                cursor: pointer;
-                transition: all 0.3s ease;
-                font-weight: 500;
-                backdrop-filter: blur(10px);
-            }
-            
-            .btn:hover {
-                background: rgba(255,255,255,0.3);
-                border-color: rgba(255,255,255,0.5);
-                transform: translateY(-2px);
-            }
-            
-            .btn.active {
-                background: rgba(255,255,255,0.4);
-                border-color: rgba(255,255,255,0.6);
-            }
-            
-            .dashboard-grid {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-                gap: 20px;
-                margin-bottom: 30px;
-            }
-            
-            .card {
-                background: rgba(255,255,255,0.95);
-                border-radius: 15px;
-                padding: 25px;
-                box-shadow: 0 8px 32px rgba(0,0,0,0.1);
-                backdrop-filter: blur(10px);
-                border: 1px solid rgba(255,255,255,0.2);
-                transition: transform 0.3s ease;
-            }
-            
-            .card:hover {
-                transform: translateY(-5px);
-            }
-            
-            .card h2 {
-                color: #2c3e50;
-                margin-bottom: 20px;
-                font-size: 1.3rem;
-                display: flex;
-                align-items: center;
-                gap: 10px;
-            }
-            
-            .stats-grid {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                gap: 15px;
-            }
-            
-            .stat-card {
-                background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
-                color: white;
-                padding: 20px;
-                border-radius: 12px;
-                text-align: center;
-                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
-            }
-            
-            .stat-card.temp {
-                background: linear-gradient(135deg, #ffecd2 0%, #fcb69f 100%);
-            }
-            
-            .stat-card.humidity {
-                background: linear-gradient(135deg, #a8edea 0%, #fed6e3 100%);
-            }
-            
-            .stat-card.records {
-                background: linear-gradient(135deg, #d299c2 0%, #fef9d7 100%);
-            }
-            
-            .stat-card.devices {
-                background: linear-gradient(135deg, #89f7fe 0%, #66a6ff 100%);
-            }
-            
-            .stat-card h3 {
-                font-size: 0.9rem;
-                margin-bottom: 10px;
-                opacity: 0.9;
-            }
-            
-            .stat-number {
-                font-size: 2rem;
-                font-weight: bold;
-                margin-bottom: 5px;
-            }
-            
-            .stat-detail {
-                font-size: 0.8rem;
-                opacity: 0.8;
-            }
-            
-            .chart-container {
-                position: relative;
-                height: 400px;
-                margin: 20px 0;
-            }
-            
-            .chart-controls {
-                display: flex;
-                justify-content: center;
-                gap: 10px;
-                margin-bottom: 15px;
-                flex-wrap: wrap;
-            }
-            
-            .chart-btn {
-                background: #f8f9fa;
-                border: 2px solid #dee2e6;
-                padding: 8px 16px;
-                border-radius: 20px;
-                cursor: pointer;
-                transition: all 0.3s ease;
-                font-size: 0.9rem;
-            }
-            
-            .chart-btn:hover, .chart-btn.active {
-                background: #007bff;
-                color: white;
-                border-color: #007bff;
-            }
-            
-            .realtime-values {
-                display: flex;
-                justify-content: space-around;
-                margin: 20px 0;
-            }
-            
-            .realtime-value {
-                text-align: center;
-                padding: 15px;
-                background: #f8f9fa;
-                border-radius: 10px;
-                min-width: 120px;
-            }
-            
-            .realtime-value .value {
-                font-size: 2rem;
-                font-weight: bold;
-                color: #007bff;
-            }
-            
-            .realtime-value .label {
-                font-size: 0.9rem;
-                color: #6c757d;
-                margin-top: 5px;
-            }
-            
-            .table-container {
-                overflow-x: auto;
-                margin-top: 20px;
-            }
-            
-            table {
-                width: 100%;
-                border-collapse: collapse;
-                background: white;
-                border-radius: 10px;
-                overflow: hidden;
-                box-shadow: 0 4px 15px rgba(0,0,0,0.1);
-            }
-            
-            th, td {
-                padding: 12px 15px;
-                text-align: left;
-                border-bottom: 1px solid #f1f3f4;
-            }
-            
-            th {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                font-weight: 600;
-            }
-            
-            tbody tr:hover {
-                background-color: #f8f9fa;
-            }
-            
-            .status-indicator {
-                display: inline-flex;
-                align-items: center;
-                gap: 8px;
-                margin-bottom: 15px;
-            }
-            
-            .status-dot {
-                width: 12px;
-                height: 12px;
-                border-radius: 50%;
-                background: #28a745;
-                animation: pulse 2s infinite;
-            }
-            
-            @keyframes pulse {
-                0% { box-shadow: 0 0 0 0 rgba(40, 167, 69, 0.7); }
-                70% { box-shadow: 0 0 0 10px rgba(40, 167, 69, 0); }
-                100% { box-shadow: 0 0 0 0 rgba(40, 167, 69, 0); }
-            }
-            
-            .loading {
-                text-align: center;
-                padding: 40px;
-                color: #6c757d;
-            }
-            
-            @media (max-width: 768px) {
-                .header h1 { font-size: 2rem; }
-                .header-controls { flex-direction: column; align-items: center; }
-                .dashboard-grid { grid-template-columns: 1fr; }
-                .stats-grid { grid-template-columns: repeat(2, 1fr); }
-                .realtime-values { flex-direction: column; gap: 10px; }
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <h1>🌡️ ESP32 Sensor Dashboard</h1>
-                <div class="status-indicator">
-                    <div class="status-dot"></div>
-                    <span>Live Monitoring Active</span>
-                </div>
-                <div class="header-controls">
-                    <button class="btn active" onclick="setUpdateInterval(10)">⚡ Real-time (10s)</button>
-                    <button class="btn" onclick="setUpdateInterval(30)">🔄 Normal (30s)</button>
-                    <button class="btn" onclick="setUpdateInterval(60)">⏰ Slow (1min)</button>
-                    <button class="btn" onclick="exportData()">📥 Export Data</button>
-                    <button class="btn" onclick="location.reload()">🔄 Refresh</button>
-                </div>
-            </div>
-            
-            <div class="dashboard-grid">
-                <!-- Statistics Card -->
-                <div class="card">
-                    <h2>📊 Statistics</h2>
-                    <div id="stats" class="loading">Loading...</div>
-                </div>
-                
-                <!-- Current Values Card -->
-                <div class="card">
-                    <h2>📡 Current Values</h2>
-                    <div id="current-values" class="loading">Loading...</div>
-                </div>
-            </div>
-            
-            <!-- Charts Section -->
-            <div class="card">
-                <h2>📈 Temperature & Humidity Trends</h2>
-                <div class="chart-controls">
-                    <button class="chart-btn active" onclick="setChartRange(50)">Last 50 readings</button>
-                    <button class="chart-btn" onclick="setChartRange(100)">Last 100 readings</button>
-                    <button class="chart-btn" onclick="setChartRange(200)">Last 200 readings</button>
-                    <button class="chart-btn" onclick="setChartRange('all')">All data</button>
-                </div>
-                <div class="chart-container">
-                    <canvas id="mainChart"></canvas>
-                </div>
-            </div>
-            
-            <!-- Gauge Charts -->
-            <div class="dashboard-grid">
-                <div class="card">
-                    <h2>🌡️ Temperature Gauge</h2>
-                    <div class="chart-container" style="height: 300px;">
-                        <canvas id="tempGauge"></canvas>
-                    </div>
-                </div>
-                
-                <div class="card">
-                    <h2>💧 Humidity Gauge</h2>
-                    <div class="chart-container" style="height: 300px;">
-                        <canvas id="humidityGauge"></canvas>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- Recent Data Table -->
-            <div class="card">
-                <h2>📋 Recent Data</h2>
-                <div class="table-container">
-                    <div id="data-table" class="loading">Loading...</div>
-                </div>
-            </div>
-        </div>
-        
-        <script>
-            let mainChart = null;
-            let tempGauge = null;
-            let humidityGauge = null;
-            let updateInterval = 10000;
-            let chartRange = 50;
-            let refreshTimer = null;
-            
-            // Initialize charts
-            function initCharts() {
-                // Main line chart
-                const mainCtx = document.getElementById('mainChart').getContext('2d');
-                mainChart = new Chart(mainCtx, {
-                    type: 'line',
-                    data: {
-                        labels: [],
-                        datasets: [{
-                            label: 'Temperature (°C)',
-                            data: [],
-                            borderColor: '#ff6b6b',
-                            backgroundColor: 'rgba(255, 107, 107, 0.1)',
-                            fill: true,
-                            tension: 0.4,
-                            pointRadius: 4,
-                            pointHoverRadius: 6
-                        }, {
-                            label: 'Humidity (%)',
-                            data: [],
-                            borderColor: '#4ecdc4',
-                            backgroundColor: 'rgba(78, 205, 196, 0.1)',
-                            fill: true,
-                            tension: 0.4,
-                            pointRadius: 4,
-                            pointHoverRadius: 6,
-                            yAxisID: 'y1'
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        plugins: {
-                            legend: {
-                                position: 'top',
-                            }
-                        },
-                        scales: {
-                            x: {
-                                display: true,
-                                title: {
-                                    display: true,
-                                    text: 'Time'
-                                }
-                            },
-                            y: {
-                                type: 'linear',
-                                display: true,
-                                position: 'left',
-                                title: {
-                                    display: true,
-                                    text: 'Temperature (°C)'
-                                }
-                            },
-                            y1: {
-                                type: 'linear',
-                                display: true,
-                                position: 'right',
-                                title: {
-                                    display: true,
-                                    text: 'Humidity (%)'
-                                },
-                                grid: {
-                                    drawOnChartArea: false,
-                                }
-                            }
-                        },
-                        animation: {
-                            duration: 1000
-                        }
-                    }
-                });
-                
-                // Temperature gauge
-                const tempCtx = document.getElementById('tempGauge').getContext('2d');
-                tempGauge = new Chart(tempCtx, {
-                    type: 'doughnut',
-                    data: {
-                        datasets: [{
-                            data: [0, 100],
-                            backgroundColor: ['#ff6b6b', '#f1f3f4'],
-                            borderWidth: 0,
-                            cutout: '70%'
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        plugins: {
-                            legend: { display: false }
-                        }
-                    }
-                });
-                
-                // Humidity gauge
-                const humidityCtx = document.getElementById('humidityGauge').getContext('2d');
-                humidityGauge = new Chart(humidityCtx, {
-                    type: 'doughnut',
-                    data: {
-                        datasets: [{
-                            data: [0, 100],
-                            backgroundColor: ['#4ecdc4', '#f1f3f4'],
-                            borderWidth: 0,
-                            cutout: '70%'
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        plugins: {
-                            legend: { display: false }
-                        }
-                    }
-                });
-            }
-            
-            async function loadStats() {
-                try {
-                    const response = await fetch('/api/stats');
-                    const result = await response.json();
-                    const stats = result.stats;
-                    
-                    if (!stats || !stats.total_records || !stats.temperature || !stats.humidity) {
-                        document.getElementById('stats').innerHTML =
-                            '<p style="text-align: center; color: #6c757d;">No data available yet</p>';
-                        document.getElementById('current-values').innerHTML =
-                            '<p style="text-align: center; color: #6c757d;">Waiting for first reading...</p>';
-                        return;
-                    }
-                    
-                    // Update statistics
-                    document.getElementById('stats').innerHTML = \`
-                        <div class="stats-grid">
-                            <div class="stat-card records">
-                                <h3>📈 Total Records</h3>
-                                <div class="stat-number">\${stats.total_records}</div>
-                            </div>
-                            <div class="stat-card temp">
-                                <h3>🌡️ Temperature</h3>
-                                <div class="stat-number">\${stats.temperature.avg}°C</div>
-                                <div class="stat-detail">Min: \${stats.temperature.min}°C | Max: \${stats.temperature.max}°C</div>
-                            </div>
-                            <div class="stat-card humidity">
-                                <h3>💧 Humidity</h3>
-                                <div class="stat-number">\${stats.humidity.avg}%</div>
-                                <div class="stat-detail">Min: \${stats.humidity.min}% | Max: \${stats.humidity.max}%</div>
-                            </div>
-                            <div class="stat-card devices">
-                                <h3>📱 Active Devices</h3>
-                                <div class="stat-number">\${stats.devices.length}</div>
-                                <div class="stat-detail">\${stats.devices.join(', ')}</div>
-                            </div>
-                        </div>
-                    \`;
-                    
-                    // Update current values
-                    const latest = stats.latest_reading;
-                    if (latest) {
-                        document.getElementById('current-values').innerHTML = \`
-                            <div class="realtime-values">
-                                <div class="realtime-value">
-                                    <div class="value">\${latest.temperature}°C</div>
-                                    <div class="label">Temperature</div>
-                                </div>
-                                <div class="realtime-value">
-                                    <div class="value">\${latest.humidity}%</div>
-                                    <div class="label">Humidity</div>
-                                </div>
-                            </div>
-                            <div style="text-align: center; margin-top: 15px; color: #6c757d; font-size: 0.9rem;">
-                                Last updated: \${new Date(latest.received_at).toLocaleString()}
-                            </div>
-                        \`;
-                        
-                        // Update gauges
-                        if (tempGauge && humidityGauge) {
-                            tempGauge.data.datasets[0].data = [latest.temperature, Math.max(0, 50 - latest.temperature)];
-                            humidityGauge.data.datasets[0].data = [latest.humidity, Math.max(0, 100 - latest.humidity)];
-                            tempGauge.update();
-                            humidityGauge.update();
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error loading stats:', error);
-                    document.getElementById('stats').innerHTML = '<p style="text-align: center; color: #dc3545;">Error loading statistics</p>';
-                }
-            }
-            
-            async function loadChartData() {
-                try {
-                    const limit = chartRange === 'all' ? 1000 : chartRange;
-                    const response = await fetch(\`/api/data?limit=\${limit}\`);
-                    const result = await response.json();
-                    
-                    if (result.data.length === 0) return;
-                    
-                    const data = result.data.reverse(); // Reverse to show chronological order
-                    
-                    const labels = data.map(record => {
-                        const date = new Date(record.received_at);
-                        return date.toLocaleTimeString();
-                    });
-                    
-                    const temperatures = data.map(record => record.temperature);
-                    const humidities = data.map(record => record.humidity);
-                    
-                    if (mainChart) {
-                        mainChart.data.labels = labels;
-                        mainChart.data.datasets[0].data = temperatures;
-                        mainChart.data.datasets[1].data = humidities;
-                        mainChart.update();
-                    }
-                } catch (error) {
-                    console.error('Error loading chart data:', error);
-                }
-            }
-            
-            async function loadDataTable() {
-                try {
-                    const response = await fetch('/api/data?limit=20');
-                    const result = await response.json();
-                    
-                    if (result.data.length === 0) {
-                        document.getElementById('data-table').innerHTML = '<p style="text-align: center; color: #6c757d;">No data available</p>';
-                        return;
-                    }
-                    
-                    let table = '<table><thead><tr><th>Time</th><th>Device</th><th>Temperature</th><th>Humidity</th><th>Location</th></tr></thead><tbody>';
-                    
-                    result.data.forEach(record => {
-                        const time = new Date(record.received_at).toLocaleString();
-                        table += \`<tr>
-                            <td>\${time}</td>
-                            <td>\${record.device_id}</td>
-                            <td><strong>\${record.temperature}°C</strong></td>
-                            <td><strong>\${record.humidity}%</strong></td>
-                            <td>\${record.location || 'N/A'}</td>
-                        </tr>\`;
-                    });
-                    
-                    table += '</tbody></table>';
-                    document.getElementById('data-table').innerHTML = table;
-                } catch (error) {
-                    console.error('Error loading data table:', error);
-                    document.getElementById('data-table').innerHTML = '<p style="text-align: center; color: #dc3545;">Error loading data</p>';
-                }
-            }
-            
-            function setUpdateInterval(seconds) {
-                updateInterval = seconds * 1000;
-                
-                // Update button states
-                document.querySelectorAll('.header-controls .btn').forEach(btn => {
-                    btn.classList.remove('active');
-                });
-                event.target.classList.add('active');
-                
-                // Restart timer
-                if (refreshTimer) {
-                    clearInterval(refreshTimer);
-                }
-                
-                refreshTimer = setInterval(loadAllData, updateInterval);
-                console.log(\`Update interval set to \${seconds} seconds\`);
-            }
-            
-            function setChartRange(range) {
-                chartRange = range;
-                
-                // Update button states
-                document.querySelectorAll('.chart-btn').forEach(btn => {
-                    btn.classList.remove('active');
-                });
-                event.target.classList.add('active');
-                
-                loadChartData();
-            }
-            
-            async function exportData() {
-                try {
-                    const response = await fetch('/api/data?limit=1000');
-                    const result = await response.json();
-                    
-                    const csv = 'Time,Device,Temperature,Humidity,Location\\n' + 
-                        result.data.map(record => 
-                            \`\${new Date(record.received_at).toISOString()},\${record.device_id},\${record.temperature},\${record.humidity},\${record.location || 'N/A'}\`
-                        ).join('\\n');
-                    
-                    const blob = new Blob([csv], { type: 'text/csv' });
-                    const url = window.URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = \`esp32_sensor_data_\${new Date().toISOString().split('T')[0]}.csv\`;
-                    a.click();
-                    window.URL.revokeObjectURL(url);
-                } catch (error) {
-                    console.error('Error exporting data:', error);
-                    alert('Error exporting data');
-                }
-            }
-            
-            function loadAllData() {
-                loadStats();
-                loadChartData();
-                loadDataTable();
-            }
-            
-            // Initialize everything
-            document.addEventListener('DOMContentLoaded', function() {
-                initCharts();
-                loadAllData();
-                
-                // Start auto refresh
-                refreshTimer = setInterval(loadAllData, updateInterval);
-            });
-        </script>
-    </body>
-    </html>
-    `;
-    res.send(html);
+app.get('/', auth.authenticate, (req, res) => {
+    if (!req.user) return res.redirect('/login');
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // A streamed response (export, SSE) cannot switch to a JSON error half way
+    if (res.headersSent) {
+        console.error('Error after response started:', err);
+        return res.destroy();
+    }
+
+    // Every error response has the same shape: { success, code, message, errors };
+    // errors lists { field, code, message } for validation failures
+    const error = err.type && err.status ? fromParserError(err) : err;
+    if (error instanceof HttpError) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            errors: error.details
+        });
+    }
+
     console.error('Unhandled error:', err);
     res.status(500).json({
         success: false,
-        message: 'Internal server error',
-        error: err.message
+        code: 'internal_error',
+        message: 'Internal server error'
     });
 });
 
 // Start server
-app.listen(PORT, () => {
-    console.log(`\n🚀 Server running on port ${PORT}`);
-    console.log(`📊 Dashboard: http://localhost:${PORT}`);
-    console.log(`📡 API Endpoint: http://localhost:${PORT}/api/sensor-data`);
-    console.log(`📈 Stats: http://localhost:${PORT}/api/stats`);
-    console.log(`📋 Data: http://localhost:${PORT}/api/data`);
-    console.log(`\n✅ Server ready to receive ESP32 data!`);
+loadDataFromFile().then(async () => {
+    await heartbeat.start();
+    retention.start();
+
+    if (MQTT_MODE === 'embedded') {
+        const mqttPort = parseInt(process.env.MQTT_PORT) || 1883;
+        await mqttIngest.listen(mqttPort);
+        console.log(`📶 MQTT broker listening on port ${mqttPort}`);
+    } else if (MQTT_MODE === 'client') {
+        mqttIngest.connect(process.env.MQTT_URL || 'mqtt://localhost:1883', {
+            username: process.env.MQTT_USERNAME,
+            password: process.env.MQTT_PASSWORD
+        });
+        console.log(`📶 MQTT subscribing via ${process.env.MQTT_URL || 'mqtt://localhost:1883'}`);
+    }
+
+    app.listen(PORT, () => {
+        console.log(`\n🚀 Server running on port ${PORT}`);
+        console.log(`📊 Dashboard: http://localhost:${PORT} (device pages: /devices/<device_id>)`);
+        console.log(`📡 API Endpoint: http://localhost:${PORT}/api/sensor-data`);
+        console.log(`📈 Stats: http://localhost:${PORT}/api/stats`);
+        console.log(`📋 Data: http://localhost:${PORT}/api/data`);
+        console.log(`🔑 Devices: http://localhost:${PORT}/api/devices`);
+        console.log(`🚨 Alerts: http://localhost:${PORT}/api/alerts`);
+        console.log(`📺 Live stream: http://localhost:${PORT}/api/stream`);
+        console.log(`💾 Export: http://localhost:${PORT}/api/export?format=csv|ndjson|arrow`);
+        console.log(`📥 Import: POST http://localhost:${PORT}/api/import (or npm run import -- <file>)`);
+        console.log(`🗄️  Retention: http://localhost:${PORT}/api/retention`);
+        console.log(`🏢 Zones: http://localhost:${PORT}/api/zones`);
+        console.log(`🛠️  Device config: http://localhost:${PORT}/api/config`);
+        console.log(`🎯 Calibration: http://localhost:${PORT}/api/calibration`);
+        console.log(`📦 Firmware (OTA): http://localhost:${PORT}/api/firmware`);
+        console.log(`📐 Prometheus metrics: http://localhost:${PORT}/metrics`);
+        console.log(`👥 Users: http://localhost:${PORT}/api/users (login: /login, API tokens: /api/auth/tokens)`);
+        console.log(`🏘️  Workspaces: http://localhost:${PORT}/api/workspaces`);
+        console.log(`\n✅ Server ready to receive ESP32 data!`);
+    });
+}).catch(error => {
+    console.error('Error opening storage:', error);
+    process.exit(1);
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down server...');
-    saveDataToFile();
-    console.log('💾 Data saved to file');
+    await mqttIngest.close();
+    retention.stop();
+    await storage.close();
+    await Promise.all(rollups.map(rollup => rollup.close()));
+    console.log('💾 Pending writes flushed');
     process.exit(0);
-});
\ No newline at end of file
+});
@@ -0,0 +1,219 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMetricRegistry } = require('../lib/metrics');
+const { createLogSink, createNotifier } = require('../lib/notifiers');
+const { createAlertEngine } = require('../lib/alerts');
+
+const MINUTE = 60000;
+const START = Date.parse('2025-06-01T12:00:00Z');
+
+// Alert rules and sinks without a server or network: readings go straight to
+// evaluate() and notifications to a log sink in a temporary directory.
+describe('alerts', () => {
+    let dir, engines = 0;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'esp32-alerts-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    // A fresh engine with one rule; states() lists the alert events it emitted
+    function createEngine(rule, workspace) {
+        const name = `engine-${++engines}`;
+        const events = new EventEmitter();
+        const emitted = [];
+        events.on('alert', event => emitted.push(event));
+
+        const engine = createAlertEngine({
+            file: path.join(dir, `${name}-rules.json`),
+            historyFile: path.join(dir, `${name}-history.ndjson`),
+            metrics: createMetricRegistry({ file: path.join(dir, `${name}-metrics.json`) }),
+            notifier: createNotifier({ log: createLogSink(path.join(dir, `${name}-alerts.log`)) }),
+            events
+        });
+        const created = engine.createRule({ metric: 'temperature', sinks: ['log'], ...rule }, workspace);
+
+        function send(minutes, temperature, extra = {}) {
+            engine.evaluate({
+                device_id: 'dev-1',
+                timestamp: START + minutes * MINUTE,
+                metrics: { temperature },
+                ...extra
+            });
+        }
+
+        return { engine, rule: created, send, states: () => emitted.map(event => event.state) };
+    }
+
+    describe('log sink', () => {
+        it('appends each alert as a JSON line', async () => {
+            const file = path.join(dir, 'sink.log');
+            const notifier = createNotifier({ log: createLogSink(file) });
+            const event = { rule_id: 'r1', device_id: 'dev-1', state: 'firing', message: 'temperature on dev-1 is 31 (above 30)' };
+
+            assert.deepEqual(await notifier.notify(event, { sinks: ['log'] }), [{ sink: 'log', delivered: true }]);
+            assert.deepEqual(await notifier.notify({ ...event, state: 'resolved' }, { sinks: ['log'] }), [{ sink: 'log', delivered: true }]);
+
+            const lines = (await fs.promises.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(lines.map(line => line.state), ['firing', 'resolved']);
+        });
+
+        it('reports a failing sink without throwing or stopping the others', async () => {
+            const file = path.join(dir, 'sink-mixed.log');
+            const notifier = createNotifier({
+                log: createLogSink(file),
+                broken: { async send() { throw new Error('sink down'); } }
+            });
+
+            const results = await notifier.notify({ state: 'firing', message: 'test' }, { sinks: ['broken', 'log'] });
+
+            assert.deepEqual(results, [
+                { sink: 'broken', delivered: false, error: 'sink down' },
+                { sink: 'log', delivered: true }
+            ]);
+            assert.ok(fs.existsSync(file));
+        });
+    });
+
+    describe('rule evaluation', () => {
+        it('fires above the threshold and resolves below it', () => {
+            const { send, states } = createEngine({ condition: 'above', threshold: 30 });
+
+            send(0, 29);
+            send(1, 31);
+            send(2, 32);
+            send(3, 29);
+
+            assert.deepEqual(states(), ['firing', 'resolved']);
+        });
+
+        it('fires below the threshold', () => {
+            const { send, states } = createEngine({ condition: 'below', threshold: 5 });
+
+            send(0, 6);
+            send(1, 4);
+
+            assert.deepEqual(states(), ['firing']);
+        });
+
+        it('stays firing within the hysteresis band', () => {
+            const { engine, send, states } = createEngine({ condition: 'above', threshold: 30, hysteresis: 2 });
+
+            send(0, 31);
+            send(1, 29);
+            send(2, 28.5);
+            assert.deepEqual(states(), ['firing']);
+            assert.equal(engine.listActive().length, 1);
+
+            send(3, 27.5);
+            assert.deepEqual(states(), ['firing', 'resolved']);
+            assert.equal(engine.listActive().length, 0);
+        });
+
+        it('fires only once the condition has held for for_minutes', () => {
+            const { send, states } = createEngine({ condition: 'above', threshold: 30, for_minutes: 5 });
+
+            send(0, 31);
+            send(3, 32);
+            assert.deepEqual(states(), []);
+
+            send(5, 31);
+            assert.deepEqual(states(), ['firing']);
+        });
+
+        it('restarts the for_minutes wait when the condition clears', () => {
+            const { send, states } = createEngine({ condition: 'above', threshold: 30, for_minutes: 5 });
+
+            send(0, 31);
+            send(2, 29);
+            send(4, 31);
+            send(8, 31);
+            assert.deepEqual(states(), []);
+
+            send(9, 31);
+            assert.deepEqual(states(), ['firing']);
+        });
+
+        it('fires on the rate of change per minute', () => {
+            const { send, states } = createEngine({ condition: 'rate_of_change', threshold: 1 });
+
+            send(0, 20);
+            send(1, 20.5);
+            send(2, 21);
+            assert.deepEqual(states(), []);
+
+            send(3, 23.5);
+            assert.deepEqual(states(), ['firing']);
+
+            send(4, 23.6);
+            assert.deepEqual(states(), ['firing', 'resolved']);
+        });
+
+        it('measures a falling rate of change too', () => {
+            const { send, states } = createEngine({ condition: 'rate_of_change', threshold: 1 });
+
+            send(0, 25);
+            send(2, 20);
+
+            assert.deepEqual(states(), ['firing']);
+        });
+
+        it('skips values flagged by quality checks', () => {
+            const { send, states } = createEngine({ condition: 'above', threshold: 30 });
+            const quality = { status: 'suspect', flags: [{ metric: 'temperature', check: 'spike', message: 'spike' }] };
+
+            send(0, 80, { quality });
+
+            assert.deepEqual(states(), []);
+        });
+
+        it('only applies a device rule to that device', () => {
+            const { send, states } = createEngine({ condition: 'above', threshold: 30, device_id: 'dev-2' });
+
+            send(0, 31);
+            assert.deepEqual(states(), []);
+
+            send(1, 31, { device_id: 'dev-2' });
+            assert.deepEqual(states(), ['firing']);
+        });
+
+        it('only applies the rules of the reading\'s workspace', () => {
+            const { send, states } = createEngine({ condition: 'above', threshold: 30 }, 'acme');
+
+            send(0, 31);
+            send(1, 31, { workspace_id: 'other' });
+            assert.deepEqual(states(), []);
+
+            send(2, 31, { workspace_id: 'acme' });
+            assert.deepEqual(states(), ['firing']);
+        });
+
+        it('ignores disabled rules', () => {
+            const { send, states } = createEngine({ condition: 'above', threshold: 30, enabled: false });
+
+            send(0, 31);
+
+            assert.deepEqual(states(), []);
+        });
+
+        it('delivers alerts to the log sink', async () => {
+            const { engine, rule, send } = createEngine({ condition: 'above', threshold: 30 });
+
+            send(0, 31);
+
+            assert.deepEqual(await engine.test(rule.id), [{ sink: 'log', delivered: true }]);
+            // The firing notification is not awaited by evaluate(), so its line may land second
+            await new Promise(resolve => setTimeout(resolve, 50));
+            const lines = (await fs.promises.readFile(path.join(dir, `engine-${engines}-alerts.log`), 'utf8'))
+                .trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(lines.map(line => line.state).sort(), ['firing', 'test']);
+        });
+    });
+});
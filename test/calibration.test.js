@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, sendReading } = require('./helpers');
+
+describe('calibration at ingest', () => {
+    let server, client, apiKey;
+
+    before(async () => {
+        server = await startServer();
+        client = createClient(server.url, { token: server.adminToken });
+
+        apiKey = (await client.post('/api/devices', { device_id: 'cal-1' })).body.device.api_key;
+        assert.equal((await client.put('/api/calibration/cal-1', {
+            metrics: { humidity: { type: 'offset', offset: 2 }, temperature: { type: 'offset', offset: -0.5 } }
+        })).status, 200);
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('stores corrected values and keeps the reported ones', async () => {
+        const { data } = await sendReading(server.url, 'cal-1', apiKey, { temperature: 21, humidity: 50 });
+
+        assert.deepEqual(data.metrics, { temperature: 20.5, humidity: 52 });
+        assert.deepEqual(data.raw, { temperature: 21, humidity: 50 });
+        assert.equal(data.quality.status, 'good');
+    });
+
+    it('stores a value as reported and flags it when its correction is out of range', async () => {
+        const { data } = await sendReading(server.url, 'cal-1', apiKey, { temperature: 21, humidity: 99.5 });
+
+        assert.deepEqual(data.metrics, { temperature: 20.5, humidity: 99.5 });
+        assert.deepEqual(data.raw, { temperature: 21 });
+        assert.equal(data.quality.status, 'suspect');
+        assert.deepEqual(data.quality.flags.map(flag => [flag.metric, flag.check]), [['humidity', 'calibration']]);
+
+        const stored = await client.get('/api/data/cal-1?limit=1');
+        assert.equal(stored.body.data[0].metrics.humidity, 99.5);
+    });
+});
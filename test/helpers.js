@@ -0,0 +1,184 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT_MS = 15000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Runs server.js in a child process on a free port with its own data directory,
+// so every test file starts from an empty server. ADMIN_TOKEN is an admin of
+// the default workspace.
+async function startServer(env = {}) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'esp32-test-'));
+    const port = await freePort();
+    const adminToken = 'test-admin-token';
+    let output = '';
+
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_DIR: path.join(dir, 'data'),
+            ADMIN_TOKEN: adminToken,
+            ADMIN_PASSWORD: 'test-password',
+            MQTT_MODE: 'off',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => fail(new Error('Server did not start in time')), START_TIMEOUT_MS);
+        function fail(error) {
+            clearTimeout(timer);
+            child.kill();
+            reject(new Error(`${error.message}\n${output}`));
+        }
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => fail(new Error(`Server exited with code ${code}`)));
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+
+    async function stop() {
+        child.removeAllListeners('exit');
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill('SIGINT');
+            await exited;
+        }
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+
+    return { url, adminToken, stop };
+}
+
+// A JSON API client for one set of credentials: { token } or { cookie }
+function createClient(url, { token, cookie } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (cookie) headers.Cookie = cookie;
+
+    async function request(method, pathname, body) {
+        const response = await fetch(url + pathname, {
+            method,
+            headers: body === undefined ? headers : { ...headers, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        const json = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+    }
+
+    return {
+        get: pathname => request('GET', pathname),
+        post: (pathname, body) => request('POST', pathname, body),
+        put: (pathname, body) => request('PUT', pathname, body),
+        patch: (pathname, body) => request('PATCH', pathname, body),
+        delete: pathname => request('DELETE', pathname),
+        headers
+    };
+}
+
+// Log in with a password and return a client carrying the session cookie
+async function login(url, username, password) {
+    const response = await fetch(`${url}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    if (!response.ok) {
+        throw new Error(`Login as ${username} failed: ${response.status} ${await response.text()}`);
+    }
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    return createClient(url, { cookie });
+}
+
+// Send one reading the way a device does, with its API key
+async function sendReading(url, deviceId, apiKey, values) {
+    const response = await fetch(`${url}/api/sensor-data`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify({ device_id: deviceId, ...values })
+    });
+    if (!response.ok) {
+        throw new Error(`Reading from ${deviceId} rejected: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+}
+
+// Open /api/stream and collect its events; close() ends the connection
+async function openStream(url, client, query = '') {
+    const controller = new AbortController();
+    const response = await fetch(`${url}/api/stream${query}`, { headers: client.headers, signal: controller.signal });
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+
+    const reading = (async () => {
+        const decoder = new TextDecoder();
+        try {
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const type = /^event: (.*)$/m.exec(block);
+                    const data = /^data: (.*)$/m.exec(block);
+                    if (!type || !data) continue;
+                    events.push({ type: type[1], data: JSON.parse(data[1]) });
+                    waiters.forEach(check => check());
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        }
+    })();
+
+    // Resolves with the first event matching predicate
+    function waitFor(predicate, timeoutMs = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('No matching stream event')), timeoutMs);
+            const check = () => {
+                const event = events.find(predicate);
+                if (!event) return;
+                clearTimeout(timer);
+                waiters.splice(waiters.indexOf(check), 1);
+                resolve(event);
+            };
+            waiters.push(check);
+            check();
+        });
+    }
+
+    async function close() {
+        controller.abort();
+        await reading;
+    }
+
+    return { status: response.status, events, waitFor, close };
+}
+
+module.exports = { startServer, createClient, login, sendReading, openStream };
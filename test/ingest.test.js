@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+describe('reading timestamps', () => {
+    let server, client;
+
+    before(async () => {
+        server = await startServer({ DEVICE_AUTH: 'off' });
+        client = createClient(server.url, { token: server.adminToken });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    async function send(path, body) {
+        const response = await fetch(server.url + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function assertReceivedTime(record) {
+        assert.equal(record.timestamp, Date.parse(record.received_at));
+    }
+
+    it('keeps a wall-clock timestamp in seconds or milliseconds', async () => {
+        const now = Date.now() - 60000;
+        const seconds = await send('/api/sensor-data', { device_id: 'clock-1', timestamp: Math.floor(now / 1000), temperature: 20 });
+        const millis = await send('/api/sensor-data', { device_id: 'clock-1', timestamp: now, temperature: 20 });
+
+        assert.equal(seconds.status, 200);
+        assert.equal(seconds.body.data.timestamp, Math.floor(now / 1000) * 1000);
+        assert.equal(millis.body.data.timestamp, now);
+    });
+
+    it('uses the received time for millis() since boot', async () => {
+        // 1 minute, 12 days and 25 days of uptime; the last two parse as 2002 and 2038 in epoch seconds
+        for (const uptime of [60000, 1036800000, 2160000000]) {
+            const response = await send('/api/sensor-data', { device_id: 'uptime-1', timestamp: uptime, temperature: 20 });
+
+            assert.equal(response.status, 200, `uptime ${uptime}`);
+            assertReceivedTime(response.body.data);
+        }
+
+        const stored = await client.get('/api/data/uptime-1');
+        assert.equal(stored.body.data.length, 3);
+        stored.body.data.forEach(assertReceivedTime);
+    });
+
+    it('uses the received time for a live timestamp far in the future', async () => {
+        const response = await send('/api/sensor-data', {
+            device_id: 'clock-2', timestamp: Date.now() + 7 * 24 * 3600 * 1000, temperature: 20
+        });
+
+        assert.equal(response.status, 200);
+        assertReceivedTime(response.body.data);
+    });
+
+    it('rejects batch readings without a wall-clock timestamp', async () => {
+        const response = await send('/api/sensor-data/batch', [
+            { device_id: 'batch-1', timestamp: 1036800000, temperature: 20 },
+            { device_id: 'batch-1', timestamp: Date.now() - 60000, temperature: 21 }
+        ]);
+
+        assert.deepEqual(response.body.results.map(result => result.status), ['rejected', 'stored']);
+        assert.equal(response.body.results[0].errors[0].code, 'out_of_range');
+    });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordTime } = require('../lib/storage');
+
+describe('recordTime', () => {
+    const received_at = '2025-06-01T12:00:00.000Z';
+    const received = Date.parse(received_at);
+
+    it('reads epoch milliseconds, epoch seconds and ISO strings', () => {
+        assert.equal(recordTime({ timestamp: 1748779200000, received_at }), 1748779200000);
+        assert.equal(recordTime({ timestamp: 1748779200, received_at }), 1748779200000);
+        assert.equal(recordTime({ timestamp: '1748779200', received_at }), 1748779200000);
+        assert.equal(recordTime({ timestamp: '2025-06-01T12:00:00Z', received_at }), 1748779200000);
+    });
+
+    it('falls back to received_at for millis() since boot', () => {
+        assert.equal(recordTime({ timestamp: 60000, received_at }), received);
+        // 12 and 25 days of uptime: these parse as 2002 and 2038 in epoch seconds
+        assert.equal(recordTime({ timestamp: 1036800000, received_at }), received);
+        assert.equal(recordTime({ timestamp: 2160000000, received_at }), received);
+    });
+
+    it('falls back to received_at without a timestamp', () => {
+        assert.equal(recordTime({ received_at }), received);
+    });
+});
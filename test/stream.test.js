@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, sendReading, openStream } = require('./helpers');
+
+describe('/api/stream', () => {
+    let server, client, apiKey;
+
+    before(async () => {
+        server = await startServer();
+        client = createClient(server.url, { token: server.adminToken });
+        apiKey = (await client.post('/api/devices', { device_id: 'stream-1' })).body.device.api_key;
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('rejects unknown event types', async () => {
+        const response = await client.get('/api/stream?events=reading,readings');
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'validation_failed');
+        assert.equal(response.body.errors[0].field, 'events');
+        assert.match(response.body.errors[0].message, /readings/);
+    });
+
+    it('sends each event once when a type is listed twice', async () => {
+        const stream = await openStream(server.url, client, '?events=reading,reading');
+
+        try {
+            await sendReading(server.url, 'stream-1', apiKey, { temperature: 20 });
+            await sendReading(server.url, 'stream-1', apiKey, { temperature: 21 });
+            await stream.waitFor(event => event.data.metrics.temperature === 21);
+
+            assert.deepEqual(stream.events.map(event => event.data.metrics.temperature), [20, 21]);
+        } finally {
+            await stream.close();
+        }
+    });
+
+    it('sends every event type for an empty events parameter', async () => {
+        const stream = await openStream(server.url, client, '?events=');
+
+        try {
+            assert.equal(stream.status, 200);
+            await sendReading(server.url, 'stream-1', apiKey, { temperature: 22 });
+            await stream.waitFor(event => event.type === 'reading');
+        } finally {
+            await stream.close();
+        }
+    });
+});
@@ -0,0 +1,309 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, login, sendReading, openStream } = require('./helpers');
+
+// Two tenants on one server: "default" (the bootstrap admin token) and "acme"
+// (an admin user created for it). Each registers one device and sends one
+// reading; neither may see, change or receive anything of the other's.
+describe('workspace isolation', () => {
+    let server, main, acme;
+    let mainKey, acmeKey, mainZone, acmeZone, mainRule, acmeRule;
+
+    before(async () => {
+        server = await startServer();
+        main = createClient(server.url, { token: server.adminToken });
+
+        assert.equal((await main.post('/api/workspaces', { id: 'acme', name: 'Acme' })).status, 201);
+        assert.equal((await main.post('/api/users', {
+            username: 'acme-admin', password: 'acme-password', role: 'admin', workspace: 'acme'
+        })).status, 201);
+        acme = await login(server.url, 'acme-admin', 'acme-password');
+
+        const mainDevice = await main.post('/api/devices', { device_id: 'main-1' });
+        const acmeDevice = await acme.post('/api/devices', { device_id: 'acme-1' });
+        assert.equal(mainDevice.status, 201);
+        assert.equal(acmeDevice.status, 201);
+        mainKey = mainDevice.body.device.api_key;
+        acmeKey = acmeDevice.body.device.api_key;
+
+        mainZone = (await main.post('/api/zones', { name: 'Main HQ', type: 'building' })).body.zone;
+        acmeZone = (await acme.post('/api/zones', { name: 'Acme HQ', type: 'building' })).body.zone;
+        assert.equal((await main.put(`/api/zones/${mainZone.id}/devices/main-1`)).status, 200);
+        assert.equal((await acme.put(`/api/zones/${acmeZone.id}/devices/acme-1`)).status, 200);
+
+        mainRule = (await main.post('/api/alerts/rules', { metric: 'temperature', condition: 'above', threshold: 0 })).body.rule;
+        acmeRule = (await acme.post('/api/alerts/rules', { metric: 'temperature', condition: 'above', threshold: 0 })).body.rule;
+
+        await sendReading(server.url, 'main-1', mainKey, { temperature: 21 });
+        await sendReading(server.url, 'acme-1', acmeKey, { temperature: 31 });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    describe('/api/data', () => {
+        it('lists only readings of the caller\'s workspace', async () => {
+            const mainData = await main.get('/api/data');
+            const acmeData = await acme.get('/api/data');
+
+            assert.deepEqual(mainData.body.data.map(record => record.device_id), ['main-1']);
+            assert.deepEqual(acmeData.body.data.map(record => record.device_id), ['acme-1']);
+        });
+
+        it('returns nothing for a device of another workspace', async () => {
+            const response = await acme.get('/api/data/main-1');
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body.data, []);
+        });
+
+        it('aggregates only the caller\'s readings', async () => {
+            const response = await acme.get('/api/data?interval=1h&group_by=device');
+            const devices = JSON.stringify(response.body);
+
+            assert.equal(response.status, 200);
+            assert.ok(devices.includes('acme-1'));
+            assert.ok(!devices.includes('main-1'));
+        });
+    });
+
+    describe('/api/stats', () => {
+        it('counts only readings of the caller\'s workspace', async () => {
+            const mainStats = await main.get('/api/stats?window=all&group_by=device');
+            const acmeStats = await acme.get('/api/stats?window=all&group_by=device');
+
+            assert.equal(mainStats.body.stats.total_records, 1);
+            assert.equal(acmeStats.body.stats.total_records, 1);
+            assert.equal(acmeStats.body.stats.metrics.temperature.max, 31);
+            assert.ok(!JSON.stringify(acmeStats.body).includes('main-1'));
+        });
+
+        it('ignores device_id filters naming another workspace\'s device', async () => {
+            const response = await acme.get('/api/stats?window=all&device_id=main-1');
+
+            assert.deepEqual(response.body.stats, {});
+        });
+    });
+
+    describe('/api/export', () => {
+        it('exports only readings of the caller\'s workspace', async () => {
+            const response = await acme.get('/api/export?format=ndjson');
+            const records = response.body.trim().split('\n').map(line => JSON.parse(line));
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(records.map(record => record.device_id), ['acme-1']);
+        });
+
+        it('exports nothing for another workspace\'s device', async () => {
+            const response = await acme.get('/api/export?format=ndjson&device_id=main-1');
+
+            assert.equal(response.body.trim(), '');
+        });
+    });
+
+    describe('/api/stream', () => {
+        it('sends only events of the caller\'s workspace', async () => {
+            const stream = await openStream(server.url, acme, '?events=reading');
+
+            try {
+                assert.equal(stream.status, 200);
+                await sendReading(server.url, 'main-1', mainKey, { temperature: 22 });
+                await sendReading(server.url, 'acme-1', acmeKey, { temperature: 32 });
+
+                // Events go out in ingest order, so a leaked main-1 reading would be here by now
+                await stream.waitFor(event => event.data.device_id === 'acme-1');
+                assert.deepEqual(stream.events.map(event => event.data.device_id), ['acme-1']);
+            } finally {
+                await stream.close();
+            }
+        });
+
+        it('sends nothing when filtered to another workspace\'s device', async () => {
+            const stream = await openStream(server.url, acme, '?device_id=main-1');
+            const mainStream = await openStream(server.url, main, '?device_id=main-1&events=reading');
+
+            try {
+                await sendReading(server.url, 'main-1', mainKey, { temperature: 23 });
+                await mainStream.waitFor(event => event.data.device_id === 'main-1');
+                assert.deepEqual(stream.events, []);
+            } finally {
+                await stream.close();
+                await mainStream.close();
+            }
+        });
+    });
+
+    describe('/api/status', () => {
+        it('lists only devices of the caller\'s workspace', async () => {
+            const response = await acme.get('/api/status');
+
+            assert.deepEqual(response.body.devices.map(device => device.device_id), ['acme-1']);
+        });
+
+        it('reports another workspace\'s device as not found', async () => {
+            assert.equal((await acme.get('/api/status/main-1')).status, 404);
+            assert.equal((await acme.get('/api/status/acme-1')).status, 200);
+        });
+
+        it('keeps status history per workspace', async () => {
+            const response = await acme.get('/api/status/history');
+
+            assert.ok(response.body.changes.every(change => change.workspace_id === 'acme'));
+        });
+    });
+
+    describe('/api/zones', () => {
+        it('lists only zones of the caller\'s workspace', async () => {
+            const response = await acme.get('/api/zones');
+
+            assert.deepEqual(response.body.zones.map(zone => zone.id), [acmeZone.id]);
+        });
+
+        it('reports another workspace\'s zone as not found', async () => {
+            assert.equal((await acme.get(`/api/zones/${mainZone.id}`)).status, 404);
+            assert.equal((await acme.get(`/api/zones/${mainZone.id}/data`)).status, 404);
+            assert.equal((await acme.patch(`/api/zones/${mainZone.id}`, { name: 'Taken' })).status, 404);
+            assert.equal((await acme.delete(`/api/zones/${mainZone.id}`)).status, 404);
+        });
+
+        it('does not assign another workspace\'s device', async () => {
+            assert.equal((await acme.put(`/api/zones/${acmeZone.id}/devices/main-1`)).status, 404);
+            assert.equal((await acme.put(`/api/zones/${mainZone.id}/devices/acme-1`)).status, 404);
+            assert.equal((await acme.delete(`/api/zones/${mainZone.id}/devices/main-1`)).status, 404);
+        });
+
+        it('does not assign a device nobody registered', async () => {
+            assert.equal((await acme.put(`/api/zones/${acmeZone.id}/devices/unregistered-1`)).status, 404);
+            assert.equal((await main.put(`/api/zones/${mainZone.id}/devices/unregistered-1`)).status, 404);
+        });
+
+        it('serves zone data and stats from the zone\'s workspace only', async () => {
+            const data = await acme.get(`/api/zones/${acmeZone.id}/data`);
+            const stats = await acme.get(`/api/zones/${acmeZone.id}/stats?window=all`);
+
+            assert.ok(data.body.data.every(record => record.device_id === 'acme-1'));
+            assert.ok(!JSON.stringify(stats.body).includes('main-1'));
+        });
+    });
+
+    describe('/api/devices', () => {
+        it('lists only devices of the caller\'s workspace', async () => {
+            const response = await acme.get('/api/devices');
+
+            assert.deepEqual(response.body.devices.map(device => device.device_id), ['acme-1']);
+        });
+
+        it('reports another workspace\'s device as not found', async () => {
+            assert.equal((await acme.get('/api/devices/main-1')).status, 404);
+            assert.equal((await acme.patch('/api/devices/main-1', { name: 'Taken' })).status, 404);
+            assert.equal((await acme.post('/api/devices/main-1/rotate-key')).status, 404);
+            assert.equal((await acme.delete('/api/devices/main-1')).status, 404);
+            assert.equal((await main.get('/api/devices/main-1')).body.device.revoked_at, null);
+        });
+
+        it('answers alike for ids taken in the caller\'s or another workspace', async () => {
+            const own = await acme.post('/api/devices', { device_id: 'acme-1' });
+            const other = await acme.post('/api/devices', { device_id: 'main-1' });
+
+            assert.equal(own.status, 409);
+            assert.equal(other.status, 409);
+            assert.equal(other.body.message.replace('main-1', 'acme-1'), own.body.message);
+        });
+
+        it('does not store settings for another workspace\'s or an unregistered device', async () => {
+            for (const deviceId of ['main-1', 'unregistered-1']) {
+                assert.equal((await acme.put(`/api/calibration/${deviceId}`, {})).status, 404);
+                assert.equal((await acme.put(`/api/config/${deviceId}`, { report_interval: 30 })).status, 404);
+                assert.equal((await acme.post(`/api/config/${deviceId}/commands`, { name: 'reboot' })).status, 404);
+                assert.equal((await acme.put(`/api/retention/devices/${deviceId}`, { raw_days: 7 })).status, 404);
+                assert.equal((await acme.put(`/api/firmware/targets/devices/${deviceId}`, { version: '1.0.0' })).status, 404);
+            }
+        });
+    });
+
+    describe('/api/alerts', () => {
+        it('lists only rules of the caller\'s workspace', async () => {
+            const response = await acme.get('/api/alerts/rules');
+
+            assert.deepEqual(response.body.rules.map(rule => rule.id), [acmeRule.id]);
+        });
+
+        it('reports another workspace\'s rule as not found', async () => {
+            assert.equal((await acme.patch(`/api/alerts/rules/${mainRule.id}`, { threshold: 5 })).status, 404);
+            assert.equal((await acme.post(`/api/alerts/rules/${mainRule.id}/test`)).status, 404);
+            assert.equal((await acme.delete(`/api/alerts/rules/${mainRule.id}`)).status, 404);
+        });
+
+        it('fires rules only for readings of their own workspace', async () => {
+            const mainActive = await main.get('/api/alerts/active');
+            const acmeActive = await acme.get('/api/alerts/active');
+
+            assert.deepEqual(mainActive.body.alerts.map(alert => [alert.rule_id, alert.device_id]), [[mainRule.id, 'main-1']]);
+            assert.deepEqual(acmeActive.body.alerts.map(alert => [alert.rule_id, alert.device_id]), [[acmeRule.id, 'acme-1']]);
+        });
+
+        it('keeps alert history per workspace', async () => {
+            const response = await acme.get('/api/alerts');
+
+            assert.ok(response.body.alerts.length > 0);
+            assert.ok(response.body.alerts.every(alert => alert.device_id === 'acme-1'));
+        });
+    });
+
+    describe('/api/users', () => {
+        it('lists only users of the caller\'s workspace', async () => {
+            const response = await acme.get('/api/users');
+
+            assert.deepEqual(response.body.users.map(user => user.username), ['acme-admin']);
+        });
+
+        it('reports another workspace\'s user as not found', async () => {
+            assert.equal((await acme.get('/api/users/admin')).status, 404);
+            assert.equal((await acme.patch('/api/users/admin', { role: 'viewer' })).status, 404);
+            assert.equal((await acme.delete('/api/users/admin')).status, 404);
+        });
+
+        it('creates users in the caller\'s workspace whatever the body says', async () => {
+            const response = await acme.post('/api/users', {
+                username: 'acme-viewer', password: 'viewer-password', role: 'viewer', workspace: 'default'
+            });
+
+            assert.equal(response.status, 201);
+            assert.equal(response.body.user.workspace, 'acme');
+        });
+
+        it('keeps workspace admins out of server-wide settings', async () => {
+            assert.equal((await acme.get('/api/workspaces')).status, 403);
+            assert.equal((await acme.put('/api/retention/default', { raw_days: 1 })).status, 403);
+        });
+    });
+
+    describe('/api/workspaces', () => {
+        it('deletes a workspace whose devices are all revoked', async () => {
+            assert.equal((await main.post('/api/workspaces', { id: 'short-lived' })).status, 201);
+            assert.equal((await main.post('/api/users', {
+                username: 'short-admin', password: 'short-password', role: 'admin', workspace: 'short-lived'
+            })).status, 201);
+            const admin = await login(server.url, 'short-admin', 'short-password');
+            assert.equal((await admin.post('/api/devices', { device_id: 'short-1' })).status, 201);
+
+            const inUse = await main.delete('/api/workspaces/short-lived');
+            assert.equal(inUse.status, 409);
+            assert.match(inUse.body.message, /1 device, 1 user/);
+
+            // The workspace's own admin cannot remove the last admin, the server admin can
+            assert.equal((await admin.delete('/api/users/short-admin')).status, 409);
+            assert.equal((await admin.delete('/api/devices/short-1')).status, 200);
+            assert.equal((await main.delete('/api/users/short-admin')).status, 200);
+            assert.equal((await main.delete('/api/workspaces/short-lived')).status, 200);
+
+            // The revoked device keeps its id
+            assert.equal((await acme.post('/api/devices', { device_id: 'short-1' })).status, 409);
+        });
+
+        it('keeps the default workspace\'s last admin', async () => {
+            assert.equal((await main.delete('/api/users/admin')).status, 409);
+        });
+    });
+});